@@ -4,39 +4,125 @@
 // FedEx Invoice Scraper — Background Service Worker
 //
 // Orchestrates the multi-page scraping workflow:
-//   1. For each input amount → find invoice, click it, scrape tracking IDs
-//      (all in one content script call to avoid SPA navigation issues)
+//   1. For each input amount / invoice number → find invoice, click it,
+//      scrape tracking IDs (all in one content script call to avoid SPA
+//      navigation issues)
 //   2. For each tracking ID → click it, wait, scrape shipment details
-//   3. Generate XLSX with one sheet per invoice amount
+//      (tracking ID inputs go straight to the shipment via quick search)
+//   3. Generate XLSX with one sheet per input
 // ==========================================================================
 
+importScripts("pacing.js", "profile.js", "extractors.js", "history-db.js", "disputes.js");
+
+const Pacing = self.FedexPacing;
+const Profile = self.FedexProfile;
+const ShipmentHistory = self.FedexHistory;
+const Disputes = self.FedexDisputes;
+const { parseMoney } = self.FedexExtractors;
+
+// Account Summary page, from the selector profile loaded at run start
+function invoicesUrl() {
+  return Profile.current().urls.invoices;
+}
+
+const LOOKUP_TYPE_NAMES = {
+  amount: "Amount",
+  invoice: "Invoice number",
+  tracking: "Tracking ID",
+};
+
 let cancelled = false;
 
+// The run in progress holds this claim ({ kind }); null when nothing runs.
+// Whoever takes it gives it back, so the extraction inside a scheduled pull
+// does not end the pull's hold on the extension.
+let running = null;
+
+// → a claim for a new run, or null when another run holds one
+function claimRun(kind) {
+  if (running) return null;
+  running = { kind };
+  return running;
+}
+
+// Give a claim back and tell the popup the extension is free again
+function releaseRun(claim) {
+  if (running !== claim) return;
+  running = null;
+  chrome.runtime.sendMessage({ type: "RUN_ENDED" }).catch(() => {});
+}
+
+// Tabs working on the current run: tabId → { label, percent, text }
+const workers = new Map();
+const MAX_WORKER_TABS = 4;
+
+// API capture (Settings page): capture.js copies the billing app's JSON
+// responses out of the page while a run has it on
+const CAPTURE_SETTINGS_KEY = "captureSettings";
+const CAPTURE_SCRIPT_ID = "fedex-capture";
+let captureMode = false;
+
 // ---------------------------------------------------------------------------
 // Broadcast helpers
 // ---------------------------------------------------------------------------
-function sendProgress(percent, text) {
-  chrome.runtime.sendMessage({ type: "PROGRESS", percent, text }).catch(() => {});
+function sendProgress(percent, text, tabs) {
+  chrome.runtime.sendMessage({ type: "PROGRESS", percent, text, tabs }).catch(() => {});
 }
 
 function sendLog(text, level = "info") {
+  auditLog(text, level, "background");
   chrome.runtime.sendMessage({ type: "LOG", text, level }).catch(() => {});
 }
 
 function sendDone(payload) {
+  finishAudit(payload);
   chrome.runtime.sendMessage({ type: "DONE", ...payload }).catch(() => {});
+  return payload;
+}
+
+// Lines from one tab of a parallel run are tagged with the tab's label
+function tabPrefix(tabId) {
+  const worker = workers.size > 1 && workers.get(tabId);
+  return worker ? `[${worker.label}] ` : "";
+}
+
+function tabLog(tabId, text, level) {
+  sendLog(tabPrefix(tabId) + text, level);
+}
+
+// `percent` is how far the tab is through its current input. Overall
+// progress counts finished inputs plus each tab's share of its input.
+function tabProgress(tabId, percent, text) {
+  const worker = workers.get(tabId);
+  if (worker) Object.assign(worker, { percent, text });
+
+  const total = checkpoint.inputs.length;
+  const done = checkpoint.inputIndex + checkpoint.finished.length;
+  const active = [...workers.values()].reduce((sum, w) => sum + w.percent, 0) / 100;
+  const overall = Math.min(100, ((done + active) / total) * 100);
+  if (workers.size <= 1) {
+    sendProgress(overall, text);
+  } else {
+    sendProgress(overall, `${done}/${total} input(s) finished`,
+      [...workers.values()].map(({ label, percent, text }) => ({ label, percent, text })));
+  }
 }
 
 // ---------------------------------------------------------------------------
-// Helper: send a message to a tab's content script and await response
+// Helper: send a message to a tab's content script and await response.
+// Every message carries the current pacing so the content script waits the
+// same way, and whether the run uses captured API data; timeouts grow with
+// the pacing profile and factor.
 // ---------------------------------------------------------------------------
 function sendToTab(tabId, message, timeout = 120000) {
+  const limit = Pacing.timeout(timeout);
   return new Promise((resolve, reject) => {
     const timer = setTimeout(() => {
-      reject(new Error(`sendToTab timeout (${timeout}ms) for action: ${message.action}`));
-    }, timeout);
+      if (message.action !== "PING") backOff(`${message.action} timed out`);
+      reject(new Error(`sendToTab timeout (${limit}ms) for action: ${message.action}`));
+    }, limit);
 
-    chrome.tabs.sendMessage(tabId, message, (response) => {
+    chrome.tabs.sendMessage(tabId, { ...message, pace: Pacing.snapshot(), capture: captureMode }, (response) => {
       clearTimeout(timer);
       if (chrome.runtime.lastError) {
         reject(new Error(chrome.runtime.lastError.message));
@@ -51,18 +137,83 @@ function sendToTab(tabId, message, timeout = 120000) {
 // Helper: inject content script if not already present
 // ---------------------------------------------------------------------------
 async function ensureContentScript(tabId) {
+  let resp = null;
   try {
-    const resp = await sendToTab(tabId, { action: "PING" }, 3000);
-    if (resp && resp.success) return;
+    resp = await sendToTab(tabId, { action: "PING" }, 3000);
   } catch {
     // Content script not loaded — inject it
   }
 
-  await chrome.scripting.executeScript({
-    target: { tabId },
-    files: ["content.js"],
-  });
-  await sleep(1000);
+  if (!resp || !resp.success) {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: ["pacing.js", "profile.js", "extractors.js", "payloads.js", "content.js"],
+    });
+    await sleep(Pacing.delay(1000));
+  }
+  if (captureMode && !resp?.captureConnected) await connectCapture(tabId);
+}
+
+// ---------------------------------------------------------------------------
+// API capture: register capture.js in the page's own world for the run, so
+// every FedEx page loaded from now on has fetch/XHR wrapped before the app
+// starts. Pages already open are covered from their next load.
+// ---------------------------------------------------------------------------
+async function loadCaptureSettings() {
+  const stored = await chrome.storage.local.get(CAPTURE_SETTINGS_KEY);
+  return stored[CAPTURE_SETTINGS_KEY] || { enabled: false };
+}
+
+async function setCapture(enabled) {
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [CAPTURE_SCRIPT_ID] });
+  if (enabled && registered.length === 0) {
+    await chrome.scripting.registerContentScripts([{
+      id: CAPTURE_SCRIPT_ID,
+      js: ["capture.js"],
+      matches: ["https://www.fedex.com/*"],
+      runAt: "document_start",
+      world: "MAIN",
+      persistAcrossSessions: false,
+    }]);
+  } else if (!enabled && registered.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: [CAPTURE_SCRIPT_ID] });
+  }
+  captureMode = enabled;
+}
+
+// Turn capture on or off for a run; it falls back to the DOM when Chrome
+// refuses the registration
+async function configureCapture() {
+  try {
+    await setCapture(!!(await loadCaptureSettings()).enabled);
+  } catch (err) {
+    captureMode = false;
+    sendLog(`API capture unavailable (${err.message}); reading pages only`, "error");
+  }
+  sendLog(`Data source: ${captureMode ? "captured API responses, page as fallback" : "page"}`);
+}
+
+async function stopCapture() {
+  await setCapture(false).catch(() => {});
+}
+
+// Connect a page load's capture.js to the content script with a nonce of
+// its own: the content script waits for a channel offered with it, then
+// capture.js is asked to offer one. Pages loaded before capture was on
+// have no capture.js and offer nothing; they are read from the page.
+async function connectCapture(tabId) {
+  const nonce = crypto.randomUUID();
+  try {
+    await sendToTab(tabId, { action: "CAPTURE_NONCE", nonce }, 5000);
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      world: "MAIN",
+      func: (key) => window.__fedexCaptureConnect?.(key),
+      args: [nonce],
+    });
+  } catch (err) {
+    sendLog(`API capture not connected (${err.message}); reading the page`, "error");
+  }
 }
 
 // ---------------------------------------------------------------------------
@@ -97,26 +248,61 @@ function waitForTabLoad(tabId, timeout = 30000) {
 }
 
 // ---------------------------------------------------------------------------
-// Helper: random delay (anti-bot throttle)
+// Helper: random delay (anti-bot throttle), sized by the pacing profile
 // ---------------------------------------------------------------------------
-function throttle() {
-  const ms = 2000 + Math.random() * 3000;
-  return sleep(ms);
+async function throttle() {
+  await Pacing.throttle();
+  await rateLimit();
+}
+
+// Global rate limit: however many tabs a run uses, page actions (loads,
+// searches, clicks) start at least the profile's action gap apart
+let nextActionAt = 0;
+
+function rateLimit() {
+  const now = Date.now();
+  const at = Math.max(now, nextActionAt);
+  nextActionAt = at + Pacing.actionGap();
+  return sleep(at - now);
 }
 
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+// ---------------------------------------------------------------------------
+// Pacing feedback. Timeouts and slow pages stretch every wait; pages that
+// settle quickly shrink them back towards the profile's base values.
+// ---------------------------------------------------------------------------
+function backOff(reason) {
+  if (Pacing.recordError()) sendLog(`${reason} — slowing down (${Pacing.describe()})`);
+}
+
+function observeSettle(settled) {
+  if (!settled) return;
+  if (Pacing.recordPageLoad(settled.elapsed, settled.timedOut)) {
+    sendLog(`Page slow to settle (${(settled.elapsed / 1000).toFixed(1)}s) — slowing down (${Pacing.describe()})`);
+  }
+}
+
+// Wait until Angular has rendered and the page has stopped changing
+async function waitForPageReady(tabId) {
+  try {
+    const resp = await sendToTab(tabId, { action: "WAIT_FOR_READY" }, 30000);
+    observeSettle(resp && resp.settled);
+  } catch { /* page keeps loading; the next action waits for its own elements */ }
+}
+
 // ---------------------------------------------------------------------------
 // Helper: navigate a tab to a URL and wait for it to load
 // ---------------------------------------------------------------------------
 async function navigateTab(tabId, url) {
-  sendLog(`Navigating to ${url.slice(0, 60)}...`);
+  await rateLimit();
+  tabLog(tabId, `Navigating to ${url.slice(0, 60)}...`);
   await chrome.tabs.update(tabId, { url });
   await waitForTabLoad(tabId);
-  await sleep(2000); // Extra time for Angular to bootstrap
   await ensureContentScript(tabId);
+  await waitForPageReady(tabId);
 }
 
 // ---------------------------------------------------------------------------
@@ -125,8 +311,9 @@ async function navigateTab(tabId, url) {
 // ---------------------------------------------------------------------------
 async function waitForNavAfterClick(tabId, expectedUrlPart, timeout = 30000) {
   const t0 = Date.now();
+  const limit = Pacing.timeout(timeout);
 
-  while (Date.now() - t0 < timeout) {
+  while (Date.now() - t0 < limit) {
     await sleep(500);
     try {
       const tab = await chrome.tabs.get(tabId);
@@ -134,19 +321,48 @@ async function waitForNavAfterClick(tabId, expectedUrlPart, timeout = 30000) {
         if (tab.status === "loading") {
           await waitForTabLoad(tabId);
         }
-        await sleep(2000);
         await ensureContentScript(tabId);
+        await waitForPageReady(tabId);
         return true;
       }
     } catch { /* tab mid-navigation */ }
   }
 
   // Fallback: just ensure content script is ready
-  await sleep(2000);
+  await sleep(Pacing.delay(2000));
   await ensureContentScript(tabId);
   return false;
 }
 
+// ---------------------------------------------------------------------------
+// Helper: download an ArrayBuffer as a file (via a data: URL, since service
+// workers have no URL.createObjectURL). Resolves with the download ID.
+// ---------------------------------------------------------------------------
+const XLSX_MIME = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+// Bytes per btoa() call: whole 3-byte groups, so the pieces join without
+// padding in between, and few enough to pass as arguments
+const BASE64_CHUNK = 3 * 0x2000;
+
+function base64Encode(bytes) {
+  const parts = [];
+  for (let i = 0; i < bytes.length; i += BASE64_CHUNK) {
+    parts.push(btoa(String.fromCharCode.apply(null, bytes.subarray(i, i + BASE64_CHUNK))));
+  }
+  return parts.join("");
+}
+
+function downloadBuffer(buffer, mime, filename, saveAs = true) {
+  const dataUrl = `data:${mime};base64,` + base64Encode(new Uint8Array(buffer));
+
+  return new Promise((resolve, reject) => {
+    chrome.downloads.download({ url: dataUrl, filename, saveAs }, (downloadId) => {
+      if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+      else resolve(downloadId);
+    });
+  });
+}
+
 // ---------------------------------------------------------------------------
 // XLSX generation
 // ---------------------------------------------------------------------------
@@ -156,278 +372,2301 @@ try {
   console.error("Failed to load SheetJS:", e);
 }
 
-function generateXlsx(allData) {
+// ---------------------------------------------------------------------------
+// Charge columns ("Charge: …", "Discount: …" and the charge totals) are
+// collected across the whole workbook so every sheet lists the same charge
+// types in the same order.
+// ---------------------------------------------------------------------------
+const CHARGE_SUMMARY_KEYS = ["Charges total", "Charges currency", "Charges check"];
+
+function isChargeLineKey(key) {
+  return key.startsWith("Charge: ") || key.startsWith("Discount: ");
+}
+
+function workbookChargeColumns(allData) {
+  const charges = new Set();
+  const discounts = new Set();
+  let hasBreakdown = false;
+  for (const entry of allData) {
+    for (const s of entry.shipments || []) {
+      for (const key of Object.keys(s)) {
+        if (key.startsWith("Charge: ")) charges.add(key);
+        else if (key.startsWith("Discount: ")) discounts.add(key);
+        else if (key === "Charges total") hasBreakdown = true;
+      }
+    }
+  }
+  return [
+    ...[...charges].sort(),
+    ...[...discounts].sort(),
+    ...(hasBreakdown ? CHARGE_SUMMARY_KEYS : []),
+  ];
+}
+
+// Give the numeric cells of the flagged columns a thousands/cents format
+function formatMoneyColumns(ws, isMoney, rowCount) {
+  isMoney.forEach((money, c) => {
+    if (!money) return;
+    for (let r = 1; r <= rowCount; r++) {
+      const cell = ws[XLSX.utils.encode_cell({ r, c })];
+      if (cell && cell.t === "n") cell.z = "#,##0.00";
+    }
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Reconciliation: one row per invoice entry comparing the invoice's original
+// amount with what its scraped shipments add up to.
+// ---------------------------------------------------------------------------
+const RECONCILIATION_SHEET = "Reconciliation";
+const RECONCILIATION_COLUMNS = [
+  ["Lookup type", false], ["Lookup value", false], ["Invoice number", false],
+  ["Invoice date", false], ["Invoice amount", true], ["Shipments total billed", true],
+  ["Difference", true], ["Shipments expected", false], ["Shipments scraped", false],
+  ["Check", false],
+];
+
+// Sum of the shipments' "Total billed" → { total, unparsed }
+function totalBilled(shipments) {
+  let total = 0;
+  let unparsed = 0;
+  for (const s of shipments) {
+    const n = parseMoney(s["Total billed"]);
+    if (Number.isFinite(n)) total += n;
+    else unparsed++;
+  }
+  return { total: Math.round(total * 100) / 100, unparsed };
+}
+
+function isFailedEntry(entry) {
+  return entry.invoiceNumber === "ERROR" || entry.invoiceNumber === "NOT FOUND";
+}
+
+function reconcileEntry(entry) {
+  const shipments = entry.shipments || [];
+  const invoiceAmount = parseMoney(entry.invoice?.originalAmount);
+  const { total: billedTotal, unparsed } = totalBilled(shipments);
+  const expected = entry.expectedShipments;
+
+  let difference = "";
+  const problems = [];
+  if (isFailedEntry(entry)) {
+    problems.push(entry.invoiceNumber);
+  } else {
+    if (expected == null) problems.push("EXPECTED COUNT UNKNOWN");
+    else if (shipments.length < expected) problems.push(`INCOMPLETE (${expected - shipments.length} missing)`);
+    if (unparsed > 0) problems.push("UNPARSED TOTAL BILLED");
+    if (!Number.isFinite(invoiceAmount)) {
+      problems.push("NO INVOICE AMOUNT");
+    } else {
+      difference = Math.round((invoiceAmount - billedTotal) * 100) / 100;
+      if (Math.abs(difference) >= 0.01) problems.push("DOES NOT BALANCE");
+    }
+  }
+
+  return [
+    LOOKUP_TYPE_NAMES[entry.lookup.type],
+    entry.lookup.value,
+    entry.invoiceNumber || "",
+    entry.invoice?.invoiceDate || "",
+    Number.isFinite(invoiceAmount) ? invoiceAmount : "",
+    billedTotal,
+    difference,
+    expected != null ? expected : "",
+    shipments.length,
+    problems.length ? problems.join("; ") : "OK",
+  ];
+}
+
+function reconciliationSheet(allData) {
+  // Tracking ID lookups pull a single shipment, not a whole invoice
+  const rows = allData.filter((entry) => entry.lookup.type !== "tracking").map(reconcileEntry);
+  const header = RECONCILIATION_COLUMNS.map(([title]) => title);
+  const ws = XLSX.utils.aoa_to_sheet([header, ...rows]);
+  formatMoneyColumns(ws, RECONCILIATION_COLUMNS.map(([, money]) => money), rows.length);
+  ws["!cols"] = header.map((title, idx) => {
+    const maxLen = Math.max(title.length, ...rows.map((r) => String(r[idx]).length));
+    return { wch: Math.min(maxLen + 2, 50) };
+  });
+  return ws;
+}
+
+// ---------------------------------------------------------------------------
+// Disputes: one row per dispute candidate (disputes.js) — the tracking ID,
+// the FedEx dispute type, why, and the amount to dispute — laid out to file
+// from. Candidates the rules cannot price leave the amount blank.
+// ---------------------------------------------------------------------------
+const DISPUTES_SHEET = "Disputes";
+const DISPUTE_COLUMNS = [
+  ["Tracking ID number", false], ["Invoice number", false], ["Invoice date", false],
+  ["Account number", false], ["Ship date", false], ["Recipient", false], ["Dispute type", false],
+  ["Reason", false], ["Disputed amount", true], ["Total billed", true],
+];
+
+function disputeRow({ row, type, reason, amount }) {
+  const shipDateKey = Object.keys(row).find((k) => /^ship(ment)? date$/i.test(k));
+  const billed = parseMoney(row["Total billed"]);
+  return [
+    row["Tracking ID number"] || "",
+    row["Invoice number"] || "",
+    row["Invoice date"] || "",
+    row["Account number"] || row["Billing account"] || "",
+    shipDateKey ? row[shipDateKey] : "",
+    row["Recipient Company"] || row["Recipient Name"] || "",
+    type,
+    reason,
+    amount != null ? amount : "",
+    Number.isFinite(billed) ? billed : "",
+  ];
+}
+
+function disputeSheet(candidates) {
+  const rows = candidates.map(disputeRow);
+  const header = DISPUTE_COLUMNS.map(([title]) => title);
+  const ws = XLSX.utils.aoa_to_sheet([header, ...rows]);
+  formatMoneyColumns(ws, DISPUTE_COLUMNS.map(([, money]) => money), rows.length);
+  ws["!cols"] = header.map((title, idx) => {
+    const maxLen = Math.max(title.length, ...rows.map((r) => String(r[idx]).length));
+    return { wch: Math.min(maxLen + 2, 60) };
+  });
+  ws["!autofilter"] = { ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: rows.length, c: header.length - 1 } }) };
+  return ws;
+}
+
+function describeDisputes(candidates) {
+  const { count, shipments, amount } = Disputes.summarize(candidates);
+  return `${count} dispute candidate(s) on ${shipments} shipment(s), ` +
+    `${amount.toLocaleString("en-US", { style: "currency", currency: "USD" })} in question`;
+}
+
+// ---------------------------------------------------------------------------
+// Summary: the workbook's first sheet, one row per entry (an input that
+// matched several invoices gets a row per invoice), linking to the entry's
+// own sheet.
+// ---------------------------------------------------------------------------
+const SUMMARY_SHEET = "Summary";
+const SUMMARY_COLUMNS = [
+  "Input", "Lookup type", "Invoice number", "Billing account", "Invoice date", "Invoice status",
+  "Shipments found", "Shipments scraped", "Total billed", "Outcome", "Reason", "Sheet",
+];
+
+// → { outcome: "found"|"not found"|"partial"|"error", reason }
+function entryOutcome(entry) {
+  const scraped = (entry.shipments || []).length;
+  const expected = entry.expectedShipments;
+  if (entry.invoiceNumber === "ERROR") return { outcome: "error", reason: entry.error || "Unknown error" };
+  if (entry.invoiceNumber === "NOT FOUND") return { outcome: "not found", reason: entry.error || "" };
+  if (scraped === 0) return { outcome: "partial", reason: entry.error || "No shipment details scraped" };
+  if (expected != null && scraped < expected) {
+    return { outcome: "partial", reason: `${expected - scraped} of ${expected} shipment(s) not scraped` };
+  }
+  return { outcome: "found", reason: ambiguityNote(entry) };
+}
+
+function summaryRow(entry) {
+  const shipments = entry.shipments || [];
+  const { outcome, reason } = entryOutcome(entry);
+  const found = entry.expectedShipments != null
+    ? entry.expectedShipments
+    : (isFailedEntry(entry) ? 0 : shipments.length);
+  return [
+    entry.lookup.label,
+    LOOKUP_TYPE_NAMES[entry.lookup.type],
+    isFailedEntry(entry) ? "" : entry.invoiceNumber || "",
+    entry.lookup.account?.label || "",
+    entry.invoice?.invoiceDate || shipments[0]?.["Invoice date"] || "",
+    entry.invoice?.status || "",
+    found,
+    shipments.length,
+    shipments.length > 0 ? totalBilled(shipments).total : "",
+    outcome,
+    reason,
+  ];
+}
+
+// Internal hyperlink to another sheet of the workbook
+function sheetLink(name) {
+  return { Target: `#'${name.replace(/'/g, "''")}'!A1`, Tooltip: `Open sheet ${name}` };
+}
+
+function summarySheet(allData, sheetNames) {
+  const rows = allData.map((entry, idx) => [...summaryRow(entry), sheetNames[idx]]);
+  const ws = XLSX.utils.aoa_to_sheet([SUMMARY_COLUMNS, ...rows]);
+  const linkCol = SUMMARY_COLUMNS.indexOf("Sheet");
+  rows.forEach((row, idx) => {
+    ws[XLSX.utils.encode_cell({ r: idx + 1, c: linkCol })].l = sheetLink(sheetNames[idx]);
+  });
+  formatMoneyColumns(ws, SUMMARY_COLUMNS.map((title) => title === "Total billed"), rows.length);
+  ws["!cols"] = SUMMARY_COLUMNS.map((title, idx) => {
+    const maxLen = Math.max(title.length, ...rows.map((r) => String(r[idx]).length));
+    return { wch: Math.min(maxLen + 2, 50) };
+  });
+  ws["!autofilter"] = { ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: rows.length, c: SUMMARY_COLUMNS.length - 1 } }) };
+  return ws;
+}
+
+// ---------------------------------------------------------------------------
+// Shipment rows, as every output format lays them out: the lookup and the
+// invoice it matched, then the shipment's own fields. Column order is the
+// preferred list, the workbook-wide charge columns, then the rest sorted.
+// ---------------------------------------------------------------------------
+const SHIPMENT_COLUMN_ORDER = [
+  "Lookup type", "Lookup value", "Match",
+  "Tracking ID number", "Data source", "Invoice number", "Invoice amount", "Billing account", "Account number",
+  "Invoice date", "Due date", "Status",
+  "Total billed", "Tracking ID balance due",
+  "Sender Name", "Sender Company", "Sender Street 1", "Sender Street 2",
+  "Sender City", "Sender State", "Sender Postal code", "Sender Country", "Sender Address confidence",
+  "Recipient Name", "Recipient Company", "Recipient Street 1", "Recipient Street 2",
+  "Recipient City", "Recipient State", "Recipient Postal code", "Recipient Country", "Recipient Address confidence",
+];
+
+const NO_SHIPMENTS_NOTE = "No shipment details found";
+
+// Lookup + invoice columns shared by every row of an entry
+function entryColumns(entry) {
+  const ambiguity = ambiguityNote(entry);
+  return {
+    "Lookup type": LOOKUP_TYPE_NAMES[entry.lookup.type],
+    "Lookup value": entry.lookup.value,
+    ...(ambiguity ? { "Match": ambiguity } : {}),
+    "Invoice number": entry.invoiceNumber || "N/A",
+    ...(entry.invoice?.originalAmount ? { "Invoice amount": entry.invoice.originalAmount } : {}),
+    ...(entry.lookup.account ? { "Billing account": entry.lookup.account.label } : {}),
+  };
+}
+
+function shipmentRows(entry) {
+  const base = entryColumns(entry);
+  return (entry.shipments || []).map((s) => ({ ...base, ...s }));
+}
+
+function orderColumns(rows, chargeColumns) {
+  const allKeys = new Set();
+  rows.forEach((r) => Object.keys(r).forEach((k) => allKeys.add(k)));
+
+  const orderedKeys = [];
+  for (const pk of SHIPMENT_COLUMN_ORDER) {
+    if (allKeys.has(pk)) {
+      orderedKeys.push(pk);
+      allKeys.delete(pk);
+    }
+  }
+  chargeColumns.forEach((k) => allKeys.delete(k));
+  orderedKeys.push(...chargeColumns);
+  orderedKeys.push(...[...allKeys].sort());
+  return orderedKeys;
+}
+
+// A shipment with a parsed breakdown simply didn't incur the charge types
+// it lacks; one without a breakdown leaves them blank (undefined)
+function columnValue(row, key) {
+  if (row[key] != null) return row[key];
+  return isChargeLineKey(key) && row["Charges total"] != null ? 0 : undefined;
+}
+
+// One row per shipment, in column order, sized to the content
+function shipmentSheet(shipments, chargeColumns) {
+  const orderedKeys = orderColumns(shipments, chargeColumns);
+  const header = orderedKeys;
+  const rows = shipments.map((s) => orderedKeys.map((k) => columnValue(s, k) ?? ""));
+  const ws = XLSX.utils.aoa_to_sheet([header, ...rows]);
+  formatMoneyColumns(ws, orderedKeys.map((key) => isChargeLineKey(key) || key === "Charges total"), rows.length);
+  ws["!cols"] = orderedKeys.map((key, idx) => {
+    const maxLen = Math.max(key.length, ...rows.map((r) => String(r[idx]).length));
+    return { wch: Math.min(maxLen + 2, 50) };
+  });
+  return ws;
+}
+
+function generateXlsx(allData, runAudit = null) {
   const wb = XLSX.utils.book_new();
+  const usedSheetNames = new Set();
+  const chargeColumns = workbookChargeColumns(allData);
+
+  // Name every sheet up front so the Summary can link to them
+  const summaryName = uniqueSheetName(SUMMARY_SHEET, usedSheetNames);
+  const reconciliationName = allData.some((entry) => entry.lookup.type !== "tracking")
+    ? uniqueSheetName(RECONCILIATION_SHEET, usedSheetNames)
+    : null;
+  const candidates = Disputes.findCandidates(allData.flatMap(shipmentRows));
+  const disputesName = candidates.length > 0 ? uniqueSheetName(DISPUTES_SHEET, usedSheetNames) : null;
+  const sheetNames = allData.map((entry) => uniqueSheetName(sheetLabel(entry), usedSheetNames));
 
-  for (const [amount, invoiceData] of Object.entries(allData)) {
-    const sheetName = sanitizeSheetName(`$${amount}`);
-    const shipments = invoiceData.shipments || [];
+  XLSX.utils.book_append_sheet(wb, summarySheet(allData, sheetNames), summaryName);
+  if (reconciliationName) {
+    XLSX.utils.book_append_sheet(wb, reconciliationSheet(allData), reconciliationName);
+  }
+  if (disputesName) {
+    XLSX.utils.book_append_sheet(wb, disputeSheet(candidates), disputesName);
+  }
+
+  for (const [idx, invoiceData] of allData.entries()) {
+    const lookup = invoiceData.lookup;
+    const ambiguity = ambiguityNote(invoiceData);
+    const sheetName = sheetNames[idx];
+    const shipments = shipmentRows(invoiceData);
 
     if (shipments.length === 0) {
-      const ws = XLSX.utils.aoa_to_sheet([
+      const rows = [
         ["Invoice Number", invoiceData.invoiceNumber || "N/A"],
-        ["Amount", `$${amount}`],
-        ["Note", "No shipment details found"],
-      ]);
+        [LOOKUP_TYPE_NAMES[lookup.type], lookup.label],
+        ["Note", NO_SHIPMENTS_NOTE],
+      ];
+      if (ambiguity) rows.push(["Match", ambiguity]);
+      const ws = XLSX.utils.aoa_to_sheet(rows);
       XLSX.utils.book_append_sheet(wb, ws, sheetName);
       continue;
     }
 
-    const allKeys = new Set();
-    shipments.forEach((s) => Object.keys(s).forEach((k) => allKeys.add(k)));
-
-    const preferredOrder = [
-      "Tracking ID number", "Invoice number", "Account number",
-      "Invoice date", "Due date", "Status",
-      "Total billed", "Tracking ID balance due",
-      "Sender Name", "Sender Company", "Sender Address",
-      "Sender City/State/Zip", "Sender Country",
-      "Recipient Name", "Recipient Company", "Recipient Address",
-      "Recipient City/State/Zip", "Recipient Country",
-    ];
-
-    const orderedKeys = [];
-    for (const pk of preferredOrder) {
-      if (allKeys.has(pk)) {
-        orderedKeys.push(pk);
-        allKeys.delete(pk);
-      }
-    }
-    orderedKeys.push(...[...allKeys].sort());
+    XLSX.utils.book_append_sheet(wb, shipmentSheet(shipments, chargeColumns), sheetName);
+  }
 
-    const header = orderedKeys;
-    const rows = shipments.map((s) => orderedKeys.map((k) => s[k] || ""));
-    const ws = XLSX.utils.aoa_to_sheet([header, ...rows]);
-    ws["!cols"] = orderedKeys.map((key, idx) => {
-      const maxLen = Math.max(key.length, ...rows.map((r) => (r[idx] || "").toString().length));
-      return { wch: Math.min(maxLen + 2, 50) };
-    });
-    XLSX.utils.book_append_sheet(wb, ws, sheetName);
+  if (runAudit) {
+    XLSX.utils.book_append_sheet(wb, auditSheet(runAudit), uniqueSheetName("Audit", usedSheetNames));
   }
 
   return XLSX.write(wb, { bookType: "xlsx", type: "array" });
 }
 
-function sanitizeSheetName(name) {
-  return name.replace(/[[\]:*?/\\]/g, "_").slice(0, 31);
+// ---------------------------------------------------------------------------
+// Flat CSV: one row per shipment across every invoice, with the same
+// columns as the workbook sheets. Lookups that found no shipments still get
+// a row so every input is accounted for.
+// ---------------------------------------------------------------------------
+function csvField(value) {
+  if (value == null) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The rows CSV and JSON share: one per shipment, or a note for an entry
+// without any, and the columns in workbook order → { keys, rows }
+function flatRows(allData) {
+  const rows = allData.flatMap((entry) => {
+    const shipments = shipmentRows(entry);
+    return shipments.length > 0 ? shipments : [{ ...entryColumns(entry), "Note": NO_SHIPMENTS_NOTE }];
+  });
+  return { keys: orderColumns(rows, workbookChargeColumns(allData)), rows };
+}
+
+function generateCsv(allData) {
+  const { keys, rows } = flatRows(allData);
+  const lines = [keys.map(csvField).join(",")];
+  for (const row of rows) {
+    lines.push(keys.map((k) => csvField(columnValue(row, k))).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
 }
 
 // ---------------------------------------------------------------------------
-// Main extraction orchestrator
+// JSON: the CSV's rows as objects, every column in the CSV's order (null
+// where the CSV cell is blank)
 // ---------------------------------------------------------------------------
-async function runExtraction(amounts, tabId) {
-  cancelled = false;
-  const allData = {};
-  const totalSteps = amounts.length;
+function generateJson(allData) {
+  const { keys, rows } = flatRows(allData);
+  const shipments = rows.map((row) => Object.fromEntries(keys.map((k) => [k, columnValue(row, k) ?? null])));
+  return JSON.stringify({ generatedAt: new Date().toISOString(), columns: keys, shipments }, null, 2);
+}
 
-  try {
-    for (let i = 0; i < amounts.length; i++) {
-      if (cancelled) {
-        sendLog("Extraction cancelled.", "error");
-        sendDone({ error: "Cancelled by user" });
-        return;
-      }
+// ---------------------------------------------------------------------------
+// Output formats for a run: { label, mime, extension, build(allData) }
+// build() returns an ArrayBuffer / typed array ready for downloadBuffer()
+// ---------------------------------------------------------------------------
+const OUTPUT_FORMATS = {
+  xlsx: { label: "XLSX", mime: XLSX_MIME, extension: "xlsx", build: generateXlsx },
+  csv: {
+    label: "CSV",
+    mime: "text/csv",
+    extension: "csv",
+    build: (allData) => new TextEncoder().encode(generateCsv(allData)),
+  },
+  json: {
+    label: "JSON",
+    mime: "application/json",
+    extension: "json",
+    build: (allData) => new TextEncoder().encode(generateJson(allData)),
+  },
+};
 
-      const amount = amounts[i];
-      const pctBase = (i / totalSteps) * 100;
-      sendProgress(pctBase, `Processing $${amount} (${i + 1}/${totalSteps})`);
-      sendLog(`--- Processing $${amount} (${i + 1}/${totalSteps}) ---`);
+// ---------------------------------------------------------------------------
+// Invoice list workbook — one typed row per invoice from the Account Summary
+// table. [data-label, header, type]; unknown labels are appended as text.
+// ---------------------------------------------------------------------------
+const INVOICE_LIST_COLUMNS = [
+  ["payerAccountNumber", "Payer account", "text"],
+  ["invoiceNumber", "Invoice number", "text"],
+  ["localInvoiceNumber", "Local invoice number", "text"],
+  ["invoiceDateStr", "Invoice date", "date"],
+  ["invoiceDueDateStr", "Due date", "date"],
+  ["invoiceStatus", "Status", "text"],
+  ["paymentStatus", "Payment status", "text"],
+  ["invoiceTypeStr", "Type", "text"],
+  ["currency", "Currency", "text"],
+  ["originalAmountStr", "Original amount", "money"],
+  ["currentBalanceStr", "Current balance", "money"],
+  ["adjusted", "Adjusted", "money"],
+  ["documentsAvailable", "Documents available", "text"],
+];
 
-      // Step 1: Navigate to the invoice list page (fresh load each time)
-      await navigateTab(tabId, "https://www.fedex.com/online/billing/cbs/invoices");
-      await throttle();
+// "09/30/2025" → Date (local midnight), or null
+function parseUsDate(str) {
+  const m = String(str || "").match(/(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  return m ? new Date(Number(m[3]), Number(m[1]) - 1, Number(m[2])) : null;
+}
 
-      // Step 2: Combined find + click + wait for navigation + scrape tracking IDs
-      // All done inside one content script call to survive Angular SPA routing
-      sendLog(`Searching for invoice with amount $${amount}...`);
-      let result;
-      try {
-        result = await sendToTab(tabId, {
-          action: "FIND_CLICK_AND_SCRAPE",
-          amount,
-        }, 90000); // 90 second timeout for the combined operation
-      } catch (err) {
-        sendLog(`Error in combined find/scrape: ${err.message}`, "error");
-        allData[amount] = { invoiceNumber: "ERROR", shipments: [] };
-        continue;
-      }
+function typedCell(value, type) {
+  if (type === "money") {
+    const n = parseMoney(value);
+    return Number.isFinite(n) ? n : (value || "");
+  }
+  if (type === "date") return parseUsDate(value) || value || "";
+  return value || "";
+}
 
-      if (!result || !result.success) {
-        sendLog(`Invoice not found for $${amount}: ${result?.error || "unknown"}`, "error");
-        if (result?.diagnostics) {
-          const d = result.diagnostics;
-          sendLog(`  Page: ${d.url}`, "error");
-          sendLog(`  Data-labels: [${d.dataLabels?.join(", ") || "none"}]`, "error");
-          sendLog(`  Components: [${d.appComponents?.join(", ") || "none"}]`, "error");
-        }
-        allData[amount] = { invoiceNumber: "NOT FOUND", shipments: [] };
-        continue;
-      }
+function generateInvoiceListXlsx(invoices) {
+  const known = new Set(INVOICE_LIST_COLUMNS.map(([label]) => label));
+  const extra = new Set();
+  invoices.forEach((inv) => Object.keys(inv).forEach((k) => { if (!known.has(k)) extra.add(k); }));
+  const columns = [...INVOICE_LIST_COLUMNS, ...[...extra].map((k) => [k, k, "text"])];
 
-      sendLog(`Found invoice #${result.invoiceNumber}`, "success");
+  const header = columns.map(([, title]) => title);
+  const rows = invoices.map((inv) => columns.map(([label, , type]) => typedCell(inv[label], type)));
+  const ws = XLSX.utils.aoa_to_sheet([header, ...rows], { dateNF: "mm/dd/yyyy" });
 
-      const trackingIds = result.trackingIds || [];
-      sendLog(`Found ${trackingIds.length} tracking ID(s): [${trackingIds.join(", ")}]`,
-        trackingIds.length > 0 ? "success" : "error");
+  formatMoneyColumns(ws, columns.map(([, , type]) => type === "money"), rows.length);
+  ws["!cols"] = columns.map(([, title, type], idx) => {
+    if (type === "date") return { wch: 12 };
+    const maxLen = Math.max(title.length, ...rows.map((r) => String(r[idx]).length));
+    return { wch: Math.min(maxLen + 2, 40) };
+  });
+  ws["!autofilter"] = { ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: rows.length, c: columns.length - 1 } }) };
 
-      if (result.diagnostics) {
-        const d = result.diagnostics;
-        sendLog(`  Post-nav URL: ${d.url}`);
-        sendLog(`  Post-nav data-labels: [${d.dataLabels?.join(", ") || "none"}]`);
-        sendLog(`  Post-nav tracking links: [${d.trackingLikeLinks?.join(", ") || "none"}]`);
-      }
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, "Invoices");
+  return XLSX.write(wb, { bookType: "xlsx", type: "array" });
+}
 
-      if (trackingIds.length === 0) {
-        allData[amount] = {
-          invoiceNumber: result.invoiceNumber,
-          shipments: [],
-        };
-        continue;
-      }
+function sanitizeSheetName(name) {
+  return name.replace(/[[\]:*?/\\]/g, "_").slice(0, 31);
+}
 
-      // Step 3: For each tracking ID, visit shipment details and scrape
-      const shipments = [];
-      for (let j = 0; j < trackingIds.length; j++) {
-        if (cancelled) break;
+// Sheet names must be unique (case-insensitive) within a workbook
+function uniqueSheetName(name, used) {
+  const base = sanitizeSheetName(name);
+  let candidate = base;
+  for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    candidate = base.slice(0, 31 - suffix.length) + suffix;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
 
-        const tid = trackingIds[j];
-        const subPct = pctBase + ((j + 1) / trackingIds.length / totalSteps) * 100;
-        sendProgress(subPct, `$${amount}: Shipment ${j + 1}/${trackingIds.length}`);
-        sendLog(`  Opening shipment ${tid} (${j + 1}/${trackingIds.length})...`);
+function sheetLabel(entry) {
+  const lookup = entry.lookup;
+  let label = `$${lookup.value}`;
+  if (lookup.type === "invoice") label = `Inv ${lookup.value}`;
+  if (lookup.type === "tracking") label = `Trk ${lookup.value}`;
+  if (entry.match && entry.match.count > 1) label += ` (${entry.match.index} of ${entry.match.count})`;
+  return label;
+}
 
-        // If not the first tracking ID, we need to go back to invoice details
-        if (j > 0) {
-          sendLog("  Navigating back to invoice details...");
-          try {
-            await sendToTab(tabId, { action: "NAVIGATE_BACK" }, 5000);
-          } catch { /* may fail if page reloaded */ }
+// Flag entries whose lookup matched more than one invoice
+function ambiguityNote(entry) {
+  if (!entry.match || entry.match.count < 2) return "";
+  return `AMBIGUOUS: match ${entry.match.index} of ${entry.match.count} invoices for ${entry.lookup.label}`;
+}
 
-          // Wait for invoice details page via content script
-          try {
-            await sendToTab(tabId, { action: "WAIT_FOR_INVOICE_DETAILS" }, 30000);
-          } catch (err) {
-            sendLog(`  Back-nav failed: ${err.message}`, "error");
-            await ensureContentScript(tabId);
-          }
-          await throttle();
-        }
+// ---------------------------------------------------------------------------
+// Lookup helpers — an input is { type: "amount"|"invoice"|"tracking", value },
+// plus the account to search in on a multi-account run
+// ---------------------------------------------------------------------------
+function lookupLabel(input) {
+  if (input.type === "invoice") return `invoice ${input.value}`;
+  if (input.type === "tracking") return `tracking ID ${input.value}`;
+  return `$${input.value}`;
+}
 
-        // Click the tracking ID link
-        try {
-          const clickResult = await sendToTab(tabId, {
-            action: "CLICK_TRACKING_ID",
-            trackingId: tid,
-          }, 10000);
+function toLookup(input) {
+  const lookup = { type: input.type, value: input.value, label: lookupLabel(input) };
+  if (input.account) lookup.account = input.account;
+  return lookup;
+}
 
-          if (!clickResult || !clickResult.success) {
-            sendLog(`  Could not click tracking ID ${tid}`, "error");
-            continue;
-          }
-        } catch (err) {
-          sendLog(`  Error clicking tracking ID ${tid}: ${err.message}`, "error");
-          continue;
-        }
+// ---------------------------------------------------------------------------
+// Accounts — the Account Summary dropdown (app-account-dd) picks whose
+// invoices the page lists. A run searches the account already selected
+// (options.accounts "current"), every account ("all") or the ones picked in
+// the popup ([{ number, label }]); each input is looked up once per account
+// and the account goes into the output.
+// ---------------------------------------------------------------------------
+async function listAccounts(tabId) {
+  try {
+    await ensureContentScript(tabId);
+    const result = await sendToTab(tabId, { action: "LIST_ACCOUNTS" }, 60000);
+    return result || { success: false, error: "No response from the page" };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
 
-        // Wait for shipment details page — use content script's URL watcher
-        try {
-          await sendToTab(tabId, { action: "WAIT_FOR_SHIPMENT_PAGE" }, 30000);
-        } catch (err) {
-          sendLog(`  Shipment page wait failed: ${err.message}`, "error");
-          // Try background-level URL detection as fallback
-          await waitForNavAfterClick(tabId, "shipment-detail", 15000);
-        }
-        await throttle();
-
-        // Scrape shipment details
-        let shipmentResult;
-        try {
-          shipmentResult = await sendToTab(tabId, {
-            action: "SCRAPE_SHIPMENT_DETAILS",
-          }, 30000);
-        } catch (err) {
-          sendLog(`  Error scraping shipment ${tid}: ${err.message}`, "error");
-          continue;
-        }
+// → [account]; empty when the page has no account selector to switch
+async function resolveAccounts(tabId, choice = "current") {
+  if (Array.isArray(choice)) return choice;
 
-        if (shipmentResult && shipmentResult.success && shipmentResult.data) {
-          const fieldCount = Object.keys(shipmentResult.data).length;
-          shipments.push(shipmentResult.data);
-          sendLog(`  Scraped shipment ${tid} (${fieldCount} fields)`, "success");
-        } else {
-          sendLog(`  Empty data for ${tid}: ${shipmentResult?.error || "no fields"}`, "error");
-        }
+  await navigateTab(tabId, invoicesUrl());
+  const result = await listAccounts(tabId);
+  if (!result.success) {
+    if (choice === "all") throw new Error(`Could not list accounts: ${result.error}`);
+    sendLog("No account selector on the page — billing accounts will not be recorded");
+    return [];
+  }
+  if (choice === "all") return result.accounts;
+  return result.accounts.filter((a) => a.number === result.selected);
+}
 
-        await throttle();
-      }
+// Input-major, so an input's entries for every account stay together
+function withAccounts(inputs, accounts) {
+  if (accounts.length === 0) return inputs;
+  return inputs.flatMap((input) => accounts.map((account) => ({ ...input, account })));
+}
 
-      allData[amount] = {
-        invoiceNumber: result.invoiceNumber,
-        shipments,
-      };
+// An input found in one account was not missing from the others: drop those
+// misses, and fold an input found in none into a single NOT FOUND entry
+function collapseAccountMisses(allData) {
+  const key = (entry) => `${entry.lookup.type}:${entry.lookup.value}`;
+  const missed = (entry) => entry.invoiceNumber === "NOT FOUND";
+  const byInput = new Map();
+  for (const entry of allData) {
+    if (!entry.lookup.account) continue;
+    if (!byInput.has(key(entry))) byInput.set(key(entry), []);
+    byInput.get(key(entry)).push(entry);
+  }
 
-      sendLog(
-        `Completed $${amount}: ${shipments.length} shipment(s)`,
-        shipments.length > 0 ? "success" : "error"
-      );
+  const folded = new Set();
+  const result = [];
+  for (const entry of allData) {
+    const group = entry.lookup.account && byInput.get(key(entry));
+    if (!group || group.length < 2 || !missed(entry)) {
+      result.push(entry);
+    } else if (group.every(missed) && !folded.has(key(entry))) {
+      folded.add(key(entry));
+      const labels = group.map((e) => e.lookup.account.label);
+      result.push({
+        ...entry,
+        lookup: { ...entry.lookup, account: { number: "", label: labels.join(", ") } },
+        error: `${entry.error} in any of ${labels.length} accounts`,
+      });
     }
+  }
+  return result;
+}
 
-    // Step 4: Generate XLSX
-    sendProgress(95, "Generating Excel file...");
-    sendLog("Generating XLSX...");
+// ---------------------------------------------------------------------------
+// Checkpointing — the run's progress is mirrored to chrome.storage.local
+// after every invoice and every shipment, so a service-worker restart,
+// browser crash or tab reload can be resumed from the popup.
+//
+// Parallel runs finish inputs out of order, so entries wait in `entries`
+// until every earlier input is done and only then move to allData.
+//
+// checkpoint = {
+//   runId, startedAt, updatedAt, tabId, inputs, options,
+//   inputIndex,  // every input before this one is finished
+//   allData,     // entries of those inputs, in input order
+//   finished,    // later inputs already finished: [inputIndex]
+//   entries,     // inputIndex → entries recorded for a later input so far
+//   partials,    // inputIndex → invoice being scraped: { inputIndex, matches,
+//                //   matchIndex, invoiceNumber, invoice, shipments, doneTrackingIds }
+// }
+// ---------------------------------------------------------------------------
+const CHECKPOINT_KEY = "runCheckpoint";
+let checkpoint = null;
 
-    let xlsxBuffer;
-    try {
-      xlsxBuffer = generateXlsx(allData);
-    } catch (err) {
-      sendLog(`XLSX generation failed: ${err.message}`, "error");
-      sendDone({ error: "XLSX generation failed: " + err.message });
-      return;
-    }
+function saveCheckpoint() {
+  if (!checkpoint) return Promise.resolve();
+  checkpoint.updatedAt = new Date().toISOString();
+  return chrome.storage.local.set({ [CHECKPOINT_KEY]: checkpoint }).catch((err) => {
+    console.error("Checkpoint save failed:", err);
+  });
+}
 
-    // Step 5: Download
-    const uint8 = new Uint8Array(xlsxBuffer);
-    let binary = "";
-    for (let k = 0; k < uint8.length; k++) {
-      binary += String.fromCharCode(uint8[k]);
-    }
-    const base64 = btoa(binary);
-    const dataUrl =
-      "data:application/vnd.openxmlformats-officedocument.spreadsheetml.sheet;base64," + base64;
-    const timestamp = new Date().toISOString().slice(0, 10);
+async function loadCheckpoint() {
+  const stored = await chrome.storage.local.get(CHECKPOINT_KEY);
+  return stored[CHECKPOINT_KEY] || null;
+}
 
-    chrome.downloads.download(
-      {
-        url: dataUrl,
-        filename: `FedEx_Invoices_${timestamp}.xlsx`,
-        saveAs: true,
-      },
-      (downloadId) => {
-        if (chrome.runtime.lastError) {
-          sendLog(`Download error: ${chrome.runtime.lastError.message}`, "error");
-          sendDone({ error: chrome.runtime.lastError.message });
-        } else {
-          const totalShipments = Object.values(allData).reduce(
-            (sum, d) => sum + d.shipments.length, 0
-          );
-          sendProgress(100, "Done!");
-          sendLog("XLSX downloaded!", "success");
-          sendDone({ shipmentCount: totalShipments, invoiceCount: amounts.length });
-        }
-      }
-    );
-  } catch (err) {
-    sendLog(`Fatal error: ${err.message}`, "error");
-    sendDone({ error: err.message });
+function clearCheckpoint() {
+  checkpoint = null;
+  return chrome.storage.local.remove(CHECKPOINT_KEY);
+}
+
+// Checkpoints saved before parallel runs kept a single `partial`
+function upgradeCheckpoint(cp) {
+  cp.finished = cp.finished || [];
+  cp.entries = cp.entries || {};
+  cp.partials = cp.partials || (cp.partial ? { [cp.partial.inputIndex]: cp.partial } : {});
+  delete cp.partial;
+  return cp;
+}
+
+// Store a finished entry and forget the in-progress invoice. Its shipments
+// also go into the shipment history (history-db.js) for the History page.
+function recordEntry(inputIndex, entry) {
+  (checkpoint.entries[inputIndex] = checkpoint.entries[inputIndex] || []).push(entry);
+  delete checkpoint.partials[inputIndex];
+  ShipmentHistory.saveEntry(entry, shipmentRows(entry), checkpoint.runId)
+    .catch((err) => sendLog(`Could not add ${entry.lookup.label} to the shipment history: ${err.message}`, "error"));
+  return saveCheckpoint();
+}
+
+// Mark an input finished, then move every finished input at the front of
+// the queue into allData
+function finishInput(inputIndex) {
+  checkpoint.finished.push(inputIndex);
+  while (checkpoint.finished.includes(checkpoint.inputIndex)) {
+    const i = checkpoint.inputIndex;
+    checkpoint.allData.push(...(checkpoint.entries[i] || []));
+    delete checkpoint.entries[i];
+    checkpoint.finished = checkpoint.finished.filter((n) => n !== i);
+    checkpoint.inputIndex++;
   }
+  return saveCheckpoint();
+}
+
+function summarizeCheckpoint(cp) {
+  upgradeCheckpoint(cp);
+  const count = (entries) => entries.reduce((sum, d) => sum + d.shipments.length, 0);
+  return {
+    runId: cp.runId,
+    startedAt: cp.startedAt,
+    updatedAt: cp.updatedAt,
+    inputsDone: cp.inputIndex + cp.finished.length,
+    inputsTotal: cp.inputs.length,
+    shipmentCount: count(cp.allData) +
+      Object.values(cp.entries).reduce((sum, e) => sum + count(e), 0) +
+      Object.values(cp.partials).reduce((sum, p) => sum + p.shipments.length, 0),
+  };
 }
 
 // ---------------------------------------------------------------------------
-// Listen for messages from popup
+// Extraction cache — shipment details already extracted are kept so that
+// overlapping re-runs skip the pages they came from:
+//   - an invoice whose balance and adjusted amount in the invoice table are
+//     unchanged (its stamp, see invoiceStamp() in extractors.js) is not
+//     opened at all when every one of its shipments is cached
+//   - on an invoice that is opened, each shipment whose balance and
+//     adjusted amount in the shipment table are unchanged is reused
+// options.refresh ignores the cache for a run, which then overwrites it.
+// Tracking ID lookups always read the page: they have no table row to
+// compare against.
+//
+// extractCache = {
+//   invoices,   // invoice number → { stamp, trackingIds, expectedShipments, savedAt }
+//   shipments,  // tracking ID → invoice number
+// }
+// "extractCache:<tracking ID>" = { stamp, invoiceNumber, savedAt, data }
+// ---------------------------------------------------------------------------
+const CACHE_KEY = "extractCache";
+let cache = null;
+
+async function loadCache() {
+  const stored = await chrome.storage.local.get(CACHE_KEY);
+  cache = stored[CACHE_KEY] || { invoices: {}, shipments: {} };
+  return cache;
+}
+
+function shipmentCacheKey(tid) {
+  return `${CACHE_KEY}:${tid}`;
+}
+
+// A shipment table row's balance and adjusted amount, or null
+function shipmentStamp(row) {
+  if (!row || !row["Tracking ID balance due"]) return null;
+  return [row["Tracking ID balance due"], row["Adjusted"]]
+    .map((v) => String(v || "").replace(/[^0-9.]/g, "")).join("|");
+}
+
+// Invoice number → stamp, for the content script to compare matches with
+function cachedInvoiceStamps() {
+  return Object.fromEntries(Object.entries(cache.invoices).map(([number, c]) => [number, c.stamp]));
+}
+
+function markCached(data, savedAt) {
+  return { ...data, "Cached on": savedAt.slice(0, 10) };
+}
+
+// Every shipment of an unchanged invoice → { savedAt, expectedShipments,
+// shipments }, or null
+async function cachedInvoice(invoice) {
+  const hit = cache.invoices[invoice.invoiceNumber];
+  if (!hit || !invoice.stamp || hit.stamp !== invoice.stamp) return null;
+  const keys = hit.trackingIds.map(shipmentCacheKey);
+  const stored = await chrome.storage.local.get(keys);
+  if (keys.some((k) => !stored[k])) return null;
+  return {
+    savedAt: hit.savedAt,
+    expectedShipments: hit.expectedShipments,
+    shipments: keys.map((k) => markCached(stored[k].data, stored[k].savedAt)),
+  };
+}
+
+// An unchanged shipment's cached entry, or null
+async function cachedShipment(tid, stamp) {
+  if (stamp == null || !cache.shipments[tid]) return null;
+  const key = shipmentCacheKey(tid);
+  const stored = (await chrome.storage.local.get(key))[key];
+  return stored && stored.stamp === stamp ? stored : null;
+}
+
+// Without a stamp the shipment could never be checked: forget it instead
+function cacheShipment(tid, invoiceNumber, stamp, data) {
+  const key = shipmentCacheKey(tid);
+  if (stamp == null) {
+    delete cache.shipments[tid];
+    return Promise.all([chrome.storage.local.remove(key), chrome.storage.local.set({ [CACHE_KEY]: cache })])
+      .catch((err) => console.error("Cache save failed:", err));
+  }
+  cache.shipments[tid] = invoiceNumber;
+  return chrome.storage.local.set({
+    [key]: { stamp, invoiceNumber, savedAt: new Date().toISOString(), data },
+    [CACHE_KEY]: cache,
+  }).catch((err) => console.error("Cache save failed:", err));
+}
+
+// Record a finished invoice once every shipment on it has details cached
+// in this run (`detailed`: tracking IDs scraped or reused)
+function cacheInvoice(invoice, trackingIds, expectedShipments, detailed) {
+  if (!invoice.stamp || trackingIds.length === 0) return Promise.resolve();
+  if (!trackingIds.every((tid) => detailed.has(tid) && cache.shipments[tid])) return Promise.resolve();
+  cache.invoices[invoice.invoiceNumber] = {
+    stamp: invoice.stamp,
+    trackingIds,
+    expectedShipments,
+    savedAt: new Date().toISOString(),
+  };
+  return chrome.storage.local.set({ [CACHE_KEY]: cache })
+    .catch((err) => console.error("Cache save failed:", err));
+}
+
+async function clearCache() {
+  const stored = await chrome.storage.local.get(CACHE_KEY);
+  const shipments = Object.keys(stored[CACHE_KEY]?.shipments || {});
+  await chrome.storage.local.remove([CACHE_KEY, ...shipments.map(shipmentCacheKey)]);
+  cache = null;
+}
+
+// ---------------------------------------------------------------------------
+// Audit trail — every run's timestamped log (background and [CS] content
+// script lines), the diagnosePage() dumps it logged, the extension version
+// and the run settings. Stored in chrome.storage.local as the run goes,
+// keeping the most recent runs, and exportable as TXT / JSON or as the
+// workbook's Audit sheet.
+//
+// audit = {
+//   runId, kind: "extraction"|"invoice-list", extension, startedAt,
+//   finishedAt, outcome, settings,
+//   log,          // [{ time, level, source: "background"|"content", text }]
+//   diagnostics,  // [{ time, context, dump }]
+//   payloads,     // [{ time, url, status, body }] captured API responses
+// }
+// runAudits = [runId, ...], oldest first; "runAudits:<runId>" = audit.
+// Each run is stored under its own key, so a save writes only that run.
+// Only the latest few runs keep their payloads (they can be large); the
+// JSON export of a run replays in tools/replay-server.js.
+// ---------------------------------------------------------------------------
+const AUDIT_KEY = "runAudits";
+const AUDIT_RUNS_KEPT = 20;
+const AUDIT_PAYLOAD_RUNS_KEPT = 3;
+const AUDIT_PAYLOADS_KEPT = 200;
+const AUDIT_PAYLOAD_MAX_CHARS = 1000000;
+let audit = null;
+let auditSaveTimer = null;
+
+// Which selector profile a run read the pages with
+function profileStamp(profile) {
+  return { name: profile.name, version: profile.version, source: profile.source };
+}
+
+function extensionName() {
+  const manifest = chrome.runtime.getManifest();
+  return `${manifest.name} v${manifest.version}`;
+}
+
+function auditKey(runId) {
+  return `${AUDIT_KEY}:${runId}`;
+}
+
+// Run IDs of the stored audits, oldest first. Audits kept the old way, as
+// one list of whole runs, move to keys of their own.
+async function loadAuditIndex() {
+  const stored = await chrome.storage.local.get(AUDIT_KEY);
+  const index = stored[AUDIT_KEY] || [];
+  if (!index.some((entry) => typeof entry === "object")) return index;
+  const runIds = index.map((a) => a.runId);
+  await chrome.storage.local.set({
+    ...Object.fromEntries(index.map((a) => [auditKey(a.runId), a])),
+    [AUDIT_KEY]: runIds,
+  });
+  return runIds;
+}
+
+async function loadAudit(runId) {
+  const key = auditKey(runId);
+  return (await chrome.storage.local.get(key))[key] || null;
+}
+
+// Add a new run to the index: the oldest runs past AUDIT_RUNS_KEPT go, and
+// the run that is no longer among the latest few loses its payloads
+async function indexAudit(runId) {
+  try {
+    const index = (await loadAuditIndex()).filter((id) => id !== runId);
+    index.push(runId);
+    const dropped = index.splice(0, Math.max(0, index.length - AUDIT_RUNS_KEPT));
+    if (dropped.length > 0) await chrome.storage.local.remove(dropped.map(auditKey));
+    const aged = index[index.length - 1 - AUDIT_PAYLOAD_RUNS_KEPT];
+    const agedAudit = aged && await loadAudit(aged);
+    if (agedAudit?.payloads) {
+      delete agedAudit.payloads;
+      await chrome.storage.local.set({ [auditKey(aged)]: agedAudit });
+    }
+    await chrome.storage.local.set({ [AUDIT_KEY]: index });
+  } catch (err) {
+    console.error("Audit index save failed:", err);
+  }
+}
+
+// Start a run's audit, or pick up the stored one when resuming that run
+async function beginAudit(runId, kind, settings) {
+  const previous = await loadAudit(runId).catch(() => null);
+  audit = previous || {
+    runId,
+    kind,
+    extension: extensionName(),
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    outcome: null,
+    settings,
+    log: [],
+    diagnostics: [],
+    payloads: [],
+  };
+  audit.payloads = audit.payloads || [];
+  if (previous) {
+    audit.finishedAt = null;
+    audit.outcome = null;
+    auditLog(`Run resumed with ${extensionName()}`, "info", "background");
+  } else {
+    await indexAudit(runId);
+  }
+  await saveAudit();
+}
+
+function auditLog(text, level, source) {
+  if (!audit) return;
+  audit.log.push({ time: new Date().toISOString(), level, source, text });
+  scheduleAuditSave();
+}
+
+function auditDiagnostics(context, dump) {
+  if (!audit) return;
+  audit.diagnostics.push({ time: new Date().toISOString(), context, dump });
+  scheduleAuditSave();
+}
+
+// The same response is often loaded again (every return to the invoice
+// list): keep one copy per URL, the latest
+function auditPayload(url, status, body) {
+  if (!audit) return;
+  const text = JSON.stringify(body);
+  if (text.length > AUDIT_PAYLOAD_MAX_CHARS) return;
+  audit.payloads = audit.payloads.filter((p) => p.url !== url);
+  audit.payloads.push({ time: new Date().toISOString(), url, status, body });
+  if (audit.payloads.length > AUDIT_PAYLOADS_KEPT) audit.payloads.shift();
+  scheduleAuditSave();
+}
+
+// Logs arrive in bursts: write at most every couple of seconds
+function scheduleAuditSave() {
+  if (auditSaveTimer) return;
+  auditSaveTimer = setTimeout(() => {
+    auditSaveTimer = null;
+    saveAudit();
+  }, 2000);
+}
+
+// Writes the current run alone, without reading anything first, so saves
+// land in the order they were made
+async function saveAudit() {
+  if (!audit) return;
+  try {
+    await chrome.storage.local.set({ [auditKey(audit.runId)]: audit });
+  } catch (err) {
+    console.error("Audit save failed:", err);
+  }
+}
+
+// Called with the run's DONE payload
+function finishAudit(payload) {
+  if (!audit) return;
+  audit.finishedAt = new Date().toISOString();
+  audit.outcome = payload.error ? `error: ${payload.error}` : "completed";
+  clearTimeout(auditSaveTimer);
+  auditSaveTimer = null;
+  const finished = audit;
+  saveAudit().then(() => {
+    if (audit === finished) audit = null;
+  });
+}
+
+function auditHeaderRows(a) {
+  return [
+    ["Extension", a.extension],
+    ["Run ID", a.runId],
+    ["Run type", a.kind],
+    ["Started", a.startedAt],
+    ["Finished", a.finishedAt || "(in progress)"],
+    ["Outcome", a.outcome || "(in progress)"],
+    ["Settings", JSON.stringify(a.settings)],
+    ["Captured API responses", (a.payloads || []).length],
+  ];
+}
+
+function auditText(a) {
+  const lines = auditHeaderRows(a).map(([k, v]) => `${k}: ${v}`);
+  lines.push("", "--- Log ---");
+  for (const e of a.log) {
+    lines.push(`${e.time} [${e.level.toUpperCase()}] ${e.source === "content" ? "" : "[BG] "}${e.text}`);
+  }
+  lines.push("", "--- Page diagnostics ---");
+  for (const d of a.diagnostics) {
+    lines.push(`${d.time} ${d.context}`, JSON.stringify(d.dump, null, 2));
+  }
+  if (a.payloads && a.payloads.length > 0) {
+    lines.push("", "--- Captured API responses (bodies in the JSON log) ---");
+    for (const p of a.payloads) lines.push(`${p.time} ${p.status} ${p.url}`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Excel caps a cell at 32767 characters
+function auditSheet(a) {
+  const clip = (text) => (text.length > 32000 ? text.slice(0, 32000) + "… (truncated)" : text);
+  const rows = [
+    ...auditHeaderRows(a).map(([k, v]) => [k, clip(String(v))]),
+    [],
+    ["Time", "Level", "Source", "Message"],
+    ...a.log.map((e) => [e.time, e.level, e.source, e.text]),
+    [],
+    ["Time", "Diagnostics", "", "Dump"],
+    ...a.diagnostics.map((d) => [d.time, d.context, "", clip(JSON.stringify(d.dump))]),
+  ];
+  const ws = XLSX.utils.aoa_to_sheet(rows);
+  ws["!cols"] = [{ wch: 26 }, { wch: 12 }, { wch: 12 }, { wch: 100 }];
+  return ws;
+}
+
+// Export a stored run's audit (the latest run when runId is omitted)
+async function exportAudit(format, runId) {
+  try {
+    const index = runId ? [runId] : await loadAuditIndex();
+    const a = index.length > 0 ? await loadAudit(index[index.length - 1]) : null;
+    if (!a) return { success: false, error: "No run log recorded yet" };
+    const text = format === "json" ? JSON.stringify(a, null, 2) : auditText(a);
+    const mime = format === "json" ? "application/json" : "text/plain";
+    await downloadBuffer(new TextEncoder().encode(text), mime, `FedEx_Run_Log_${a.runId}.${format === "json" ? "json" : "txt"}`);
+    return { success: true };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Hybrid mode rule: should this shipment-table row be opened for details?
+// rule = { adjusted: bool, minAmount: number|null }
+// ---------------------------------------------------------------------------
+function needsDetails(row, rule = {}) {
+  if (rule.adjusted) {
+    const adjusted = (row["Adjusted"] || "").trim();
+    const n = parseMoney(adjusted);
+    if (Number.isFinite(n) && n !== 0) return true;
+  }
+  if (rule.minAmount != null && parseMoney(row["Total billed"]) > rule.minAmount) return true;
+  return false;
+}
+
+// ---------------------------------------------------------------------------
+// Shipment scraping: open each tracking ID from the invoice details page.
+// Scraped shipments are appended to partial.shipments; tracking IDs already
+// in partial.doneTrackingIds (from an interrupted run) are skipped.
+// `baseRows` (tracking ID → shipment-table record) is merged under the
+// scraped details in hybrid mode. `stamps` (tracking ID → shipmentStamp())
+// let unchanged shipments come from the cache when `reuse` is set; every
+// scraped shipment goes into it. → the tracking IDs with details.
+// ---------------------------------------------------------------------------
+async function scrapeInvoiceShipments(tabId, label, trackingIds, pctBase, pctSpan, partial,
+  baseRows = {}, { stamps = {}, reuse = false } = {}) {
+  const done = new Set(partial.doneTrackingIds);
+  if (done.size > 0) {
+    tabLog(tabId, `  Skipping ${done.size} shipment(s) scraped before the interruption`);
+  }
+
+  const withDetails = (data, tid) => (baseRows[tid]
+    ? { ...baseRows[tid], ...data, "Data source": "Shipment details" }
+    : data);
+  const detailed = new Set();
+  let reused = 0;
+
+  let onDetailsPage = true;
+  for (let j = 0; j < trackingIds.length; j++) {
+    if (cancelled) break;
+
+    const tid = trackingIds[j];
+    if (done.has(tid)) continue;
+
+    const hit = reuse ? await cachedShipment(tid, stamps[tid]) : null;
+    if (hit) {
+      partial.shipments.push(withDetails(markCached(hit.data, hit.savedAt), tid));
+      partial.doneTrackingIds.push(tid);
+      detailed.add(tid);
+      reused++;
+      await saveCheckpoint();
+      continue;
+    }
+
+    const subPct = pctBase + ((j + 1) / trackingIds.length) * pctSpan;
+    tabProgress(tabId, subPct, `${label}: Shipment ${j + 1}/${trackingIds.length}`);
+    tabLog(tabId, `  Opening shipment ${tid} (${j + 1}/${trackingIds.length})...`);
+
+    // After visiting a shipment, we need to go back to invoice details
+    if (!onDetailsPage) {
+      tabLog(tabId, "  Navigating back to invoice details...");
+      try {
+        await sendToTab(tabId, { action: "NAVIGATE_BACK" }, 5000);
+      } catch { /* may fail if page reloaded */ }
+
+      // Wait for invoice details page via content script
+      try {
+        const resp = await sendToTab(tabId, { action: "WAIT_FOR_INVOICE_DETAILS" }, 30000);
+        observeSettle(resp && resp.settled);
+      } catch (err) {
+        tabLog(tabId, `  Back-nav failed: ${err.message}`, "error");
+        await ensureContentScript(tabId);
+      }
+      await throttle();
+    }
+
+    // Click the tracking ID link
+    try {
+      const clickResult = await sendToTab(tabId, {
+        action: "CLICK_TRACKING_ID",
+        trackingId: tid,
+      }, 60000); // may have to scroll a long shipment table
+
+      if (!clickResult || !clickResult.success) {
+        tabLog(tabId, `  Could not click tracking ID ${tid}`, "error");
+        continue;
+      }
+    } catch (err) {
+      tabLog(tabId, `  Error clicking tracking ID ${tid}: ${err.message}`, "error");
+      continue;
+    }
+    onDetailsPage = false;
+
+    const data = await scrapeShipmentPage(tabId, tid);
+    if (data) {
+      partial.shipments.push(withDetails(data, tid));
+      partial.doneTrackingIds.push(tid);
+      detailed.add(tid);
+      await saveCheckpoint();
+      await cacheShipment(tid, partial.invoiceNumber, stamps[tid], data);
+    }
+
+    await throttle();
+  }
+  if (reused > 0) tabLog(tabId, `  Reused ${reused} unchanged shipment(s) from the cache`, "success");
+  return detailed;
+}
+
+// ---------------------------------------------------------------------------
+// Wait for the shipment details page to settle, then scrape it.
+// Returns the shipment's fields, or null if nothing could be scraped.
+// ---------------------------------------------------------------------------
+async function scrapeShipmentPage(tabId, tid) {
+  // Wait for shipment details page — use content script's URL watcher
+  try {
+    const resp = await sendToTab(tabId, { action: "WAIT_FOR_SHIPMENT_PAGE" }, 30000);
+    observeSettle(resp && resp.settled);
+  } catch (err) {
+    tabLog(tabId, `  Shipment page wait failed: ${err.message}`, "error");
+    // Try background-level URL detection as fallback
+    await waitForNavAfterClick(tabId, Profile.current().urls.shipmentDetails, 15000);
+  }
+  await throttle();
+
+  let shipmentResult;
+  try {
+    shipmentResult = await sendToTab(tabId, {
+      action: "SCRAPE_SHIPMENT_DETAILS",
+    }, 30000);
+  } catch (err) {
+    tabLog(tabId, `  Error scraping shipment ${tid}: ${err.message}`, "error");
+    return null;
+  }
+
+  if (shipmentResult && shipmentResult.success && shipmentResult.data) {
+    const fieldCount = Object.keys(shipmentResult.data).length;
+    tabLog(tabId, `  Scraped shipment ${tid} (${fieldCount} fields)`, "success");
+    return shipmentResult.data;
+  }
+  tabLog(tabId, `  Empty data for ${tid}: ${shipmentResult?.error || "no fields"}`, "error");
+  return null;
+}
+
+function logDiagnostics(tabId, d, level = "error") {
+  auditDiagnostics("Page diagnostics", d);
+  tabLog(tabId, `  Page: ${d.url}`, level);
+  tabLog(tabId, `  Data-labels: [${d.dataLabels?.join(", ") || "none"}]`, level);
+  tabLog(tabId, `  Components: [${d.appComponents?.join(", ") || "none"}]`, level);
+}
+
+// ---------------------------------------------------------------------------
+// Find + open one invoice for a lookup and return the content script's
+// result. `invoiceNumber` picks a specific match when several invoices share
+// the lookup value; otherwise the first match not in `cached` (invoice number
+// → stamp, unchanged since it was cached) is opened.
+// ---------------------------------------------------------------------------
+async function openInvoice(tabId, lookup, filters, invoiceNumber, cached = null) {
+  // Navigate to the invoice list page (fresh load each time)
+  await navigateTab(tabId, invoicesUrl());
+  await throttle();
+
+  // Combined find + click + wait for navigation + scrape tracking IDs
+  // All done inside one content script call to survive Angular SPA routing
+  return sendToTab(tabId, {
+    action: "FIND_CLICK_AND_SCRAPE",
+    lookup,
+    filters,
+    invoiceNumber,
+    account: lookup.account,
+    cached,
+  }, 300000); // the combined operation scrolls the invoice and shipment tables
+}
+
+function describeMatch(inv) {
+  const parts = [`#${inv.invoiceNumber}`];
+  if (inv.invoiceDate) parts.push(`dated ${inv.invoiceDate}`);
+  if (inv.dueDate) parts.push(`due ${inv.dueDate}`);
+  if (inv.payerAccount) parts.push(`account ${inv.payerAccount}`);
+  return parts.join(", ");
+}
+
+// ---------------------------------------------------------------------------
+// Amount / invoice number lookup: find every matching invoice row, open
+// each, then scrape every shipment on it. Each invoice becomes one entry,
+// recorded in the checkpoint as soon as it is finished. Progress is
+// reported per tab, as a percentage of this input.
+// ---------------------------------------------------------------------------
+async function processInvoiceLookup(tabId, lookup, inputIndex, options) {
+  const filters = options.filters;
+  let partial = checkpoint.partials[inputIndex] || null;
+  let result = null;
+  let matches;
+  let startAt = 0;
+
+  if (partial) {
+    matches = partial.matches;
+    startAt = partial.matchIndex;
+    tabLog(tabId, `Resuming ${lookup.label} at invoice #${partial.invoiceNumber} ` +
+      `(${partial.doneTrackingIds.length} shipment(s) already scraped)`);
+  } else {
+    tabLog(tabId, `Searching for invoice matching ${lookup.label}...`);
+    try {
+      result = await openInvoice(tabId, lookup, filters, null, options.refresh ? null : cachedInvoiceStamps());
+    } catch (err) {
+      tabLog(tabId, `Error in combined find/scrape: ${err.message}`, "error");
+      const entry = { lookup, invoiceNumber: "ERROR", error: err.message, shipments: [] };
+      await recordEntry(inputIndex, entry);
+      return [entry];
+    }
+
+    if (!result || !result.success) {
+      tabLog(tabId, `Invoice not found for ${lookup.label}: ${result?.error || "unknown"}`, "error");
+      if (result?.diagnostics) logDiagnostics(tabId, result.diagnostics);
+      const entry = { lookup, invoiceNumber: "NOT FOUND", error: result?.error || "No matching invoice", shipments: [] };
+      await recordEntry(inputIndex, entry);
+      return [entry];
+    }
+
+    matches = result.matches || [result.invoice];
+    if (matches.length > 1) {
+      tabLog(tabId, `AMBIGUOUS: ${matches.length} invoices match ${lookup.label} — scraping all of them:`, "error");
+      matches.forEach((m) => tabLog(tabId, `  ${describeMatch(m)}`, "error"));
+    }
+  }
+
+  const entries = [];
+  for (let m = startAt; m < matches.length; m++) {
+    if (cancelled) break;
+    const match = { index: m + 1, count: matches.length };
+    const matchBase = (m / matches.length) * 100;
+
+    const hit = options.refresh ? null : await cachedInvoice(matches[m]);
+    if (hit) {
+      tabLog(tabId, `Invoice #${matches[m].invoiceNumber} unchanged since ${hit.savedAt.slice(0, 10)} — ` +
+        `using ${hit.shipments.length} cached shipment(s)`, "success");
+      const entry = {
+        lookup,
+        invoiceNumber: matches[m].invoiceNumber,
+        invoice: matches[m],
+        match,
+        expectedShipments: hit.expectedShipments,
+        shipments: hit.shipments,
+      };
+      await recordEntry(inputIndex, entry);
+      entries.push(entry);
+      continue;
+    }
+
+    // The first search already opened the first match that was not cached;
+    // anything else (later matches, or a resumed invoice) has to be
+    // reopened by number
+    if (!(result?.success && result.invoiceNumber === matches[m].invoiceNumber)) {
+      tabLog(tabId, `Opening match ${m + 1}/${matches.length}: invoice #${matches[m].invoiceNumber}...`);
+      try {
+        result = await openInvoice(tabId, lookup, filters, matches[m].invoiceNumber);
+      } catch (err) {
+        result = { success: false, error: err.message };
+      }
+      if (!result || !result.success) {
+        tabLog(tabId, `Could not open invoice #${matches[m].invoiceNumber}: ${result?.error || "unknown"}`, "error");
+        const entry = {
+          lookup, invoiceNumber: "ERROR", error: result?.error || "Invoice could not be opened",
+          invoice: matches[m], match, shipments: [],
+        };
+        await recordEntry(inputIndex, entry);
+        entries.push(entry);
+        continue;
+      }
+    }
+
+    tabLog(tabId, `Found invoice #${result.invoiceNumber}`, "success");
+
+    const trackingIds = result.trackingIds || [];
+    const expected = result.expectedShipmentCount;
+    const complete = trackingIds.length > 0 && (expected == null || trackingIds.length >= expected);
+    tabLog(tabId, `Found ${trackingIds.length} tracking ID(s)` +
+      (expected != null ? ` of ${expected} expected` : "") +
+      `: [${trackingIds.join(", ")}]`, complete ? "success" : "error");
+    if (expected != null && trackingIds.length < expected) {
+      tabLog(tabId, `  ${expected - trackingIds.length} shipment(s) listed on the invoice could not be collected`, "error");
+    }
+
+    if (result.diagnostics) {
+      const d = result.diagnostics;
+      auditDiagnostics(`Invoice #${result.invoiceNumber} after navigation`, d);
+      tabLog(tabId, `  Post-nav URL: ${d.url}`);
+      tabLog(tabId, `  Post-nav data-labels: [${d.dataLabels?.join(", ") || "none"}]`);
+      tabLog(tabId, `  Post-nav tracking links: [${d.trackingLikeLinks?.join(", ") || "none"}]`);
+    }
+
+    if (!partial || partial.matchIndex !== m) {
+      partial = {
+        inputIndex,
+        matches,
+        matchIndex: m,
+        invoiceNumber: result.invoiceNumber,
+        invoice: result.invoice || matches[m],
+        shipments: [],
+        doneTrackingIds: [],
+      };
+    }
+    checkpoint.partials[inputIndex] = partial;
+
+    // Summary / hybrid modes take the invoice's shipment table as-is and
+    // only open the shipments the hybrid rule asks for
+    const mode = options.mode || "full";
+    const rows = result.shipmentRows || [];
+    const stamps = Object.fromEntries(rows.map((r) => [r["Tracking ID number"], shipmentStamp(r)]));
+    let toOpen = trackingIds;
+    const baseRows = {};
+    if (mode !== "full" && rows.length === 0) {
+      tabLog(tabId, "  Shipment table not readable — opening every shipment instead", "error");
+    } else if (mode !== "full") {
+      const invoiceFields = {};
+      if (result.invoiceNumber) invoiceFields["Invoice number"] = result.invoiceNumber;
+      if (partial.invoice?.invoiceDate) invoiceFields["Invoice date"] = partial.invoice.invoiceDate;
+      if (partial.invoice?.dueDate) invoiceFields["Due date"] = partial.invoice.dueDate;
+      for (const row of rows) {
+        baseRows[row["Tracking ID number"]] = { ...invoiceFields, ...row, "Data source": "Shipment table" };
+      }
+
+      toOpen = mode === "hybrid"
+        ? rows.filter((r) => needsDetails(r, options.hybrid)).map((r) => r["Tracking ID number"])
+        : [];
+      tabLog(tabId, mode === "hybrid"
+        ? `  Hybrid mode: ${toOpen.length} of ${rows.length} shipment(s) match the detail rule`
+        : `  Summary mode: read ${rows.length} shipment(s) from the shipment table`, "success");
+
+      const done = new Set(partial.doneTrackingIds);
+      for (const tid of Object.keys(baseRows)) {
+        if (done.has(tid) || toOpen.includes(tid)) continue;
+        partial.shipments.push(baseRows[tid]);
+        partial.doneTrackingIds.push(tid);
+      }
+    }
+    await saveCheckpoint();
+
+    // For each tracking ID, visit shipment details and scrape
+    const detailed = await scrapeInvoiceShipments(
+      tabId, lookup.label, toOpen, matchBase, 100 / matches.length, partial, baseRows,
+      { stamps, reuse: !options.refresh }
+    );
+    if (cancelled) break; // leave the partial invoice in the checkpoint
+    const shipments = partial.shipments;
+    if (complete) {
+      await cacheInvoice(partial.invoice, trackingIds, expected, detailed);
+    }
+
+    // Keep the shipment table's order when details were mixed in
+    if (mode === "hybrid" && rows.length > 0) {
+      const order = rows.map((r) => r["Tracking ID number"]);
+      shipments.sort((a, b) =>
+        order.indexOf(a["Tracking ID number"]) - order.indexOf(b["Tracking ID number"]));
+    }
+
+    const entry = {
+      lookup,
+      invoiceNumber: result.invoiceNumber,
+      invoice: partial.invoice,
+      match,
+      expectedShipments: expected,
+      shipments,
+    };
+    await recordEntry(inputIndex, entry);
+    entries.push(entry);
+  }
+  return entries;
+}
+
+// ---------------------------------------------------------------------------
+// Tracking ID lookup: FedEx's quick search opens the shipment directly
+// ---------------------------------------------------------------------------
+async function processTrackingLookup(tabId, lookup, inputIndex) {
+  const entry = await findTrackingShipment(tabId, lookup);
+  if (!cancelled) await recordEntry(inputIndex, entry);
+  return entry;
+}
+
+async function findTrackingShipment(tabId, lookup) {
+  await navigateTab(tabId, invoicesUrl());
+  await throttle();
+
+  tabLog(tabId, `Searching for ${lookup.label}...`);
+  let search;
+  try {
+    search = await sendToTab(tabId, {
+      action: "QUICK_SEARCH",
+      searchFor: "Tracking ID",
+      value: lookup.value,
+      account: lookup.account,
+    }, 60000);
+  } catch (err) {
+    tabLog(tabId, `Error in quick search: ${err.message}`, "error");
+    return { lookup, invoiceNumber: "ERROR", error: err.message, shipments: [] };
+  }
+
+  if (!search || !search.success) {
+    tabLog(tabId, `Shipment not found for ${lookup.label}: ${search?.error || "unknown"}`, "error");
+    if (search?.diagnostics) logDiagnostics(tabId, search.diagnostics);
+    return { lookup, invoiceNumber: "NOT FOUND", error: search?.error || "No matching shipment", shipments: [] };
+  }
+
+  const data = await scrapeShipmentPage(tabId, lookup.value);
+  const invoiceNumber = (data && data["Invoice number"]) || "N/A";
+  if (!data) return { lookup, invoiceNumber, error: "Shipment details could not be scraped", shipments: [] };
+  tabLog(tabId, `Tracking ID ${lookup.value} is on invoice #${invoiceNumber}`, "success");
+  return { lookup, invoiceNumber, shipments: [data] };
+}
+
+// ---------------------------------------------------------------------------
+// One input on one tab: look it up, record its entries, mark it finished
+// ---------------------------------------------------------------------------
+async function processInput(tabId, inputIndex, options) {
+  const total = checkpoint.inputs.length;
+  const lookup = toLookup(checkpoint.inputs[inputIndex]);
+  const where = lookup.account ? ` in account ${lookup.account.label}` : "";
+  tabProgress(tabId, 0, `Processing ${lookup.label}${where} (${inputIndex + 1}/${total})`);
+  tabLog(tabId, `--- Processing ${lookup.label}${where} (${inputIndex + 1}/${total}) ---`);
+
+  const entries = lookup.type === "tracking"
+    ? [await processTrackingLookup(tabId, lookup, inputIndex)]
+    : await processInvoiceLookup(tabId, lookup, inputIndex, options);
+  if (cancelled) return; // the unfinished input stays in the checkpoint
+
+  await finishInput(inputIndex);
+  tabProgress(tabId, 0, `Finished ${lookup.label}`);
+
+  for (const entry of entries) {
+    if (entry.invoiceNumber === "ERROR" || entry.invoiceNumber === "NOT FOUND") continue;
+    tabLog(tabId,
+      `Completed ${lookup.label} (invoice #${entry.invoiceNumber}): ${entry.shipments.length} shipment(s)`,
+      entry.shipments.length > 0 ? "success" : "error"
+    );
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Worker tabs for a parallel run. Each extra tab gets an unfocused window of
+// its own in the same profile (and so the same FedEx session): Chrome
+// throttles timers in background tabs, which would stall the content
+// script's waits.
+// ---------------------------------------------------------------------------
+async function openWorkerWindows(tabId, count) {
+  const tab = await chrome.tabs.get(tabId);
+  const opened = [];
+  for (let n = 0; n < count; n++) {
+    const win = await chrome.windows.create({
+      url: invoicesUrl(),
+      focused: false,
+      incognito: tab.incognito,
+    });
+    opened.push({ windowId: win.id, tabId: win.tabs[0].id });
+  }
+  return opened;
+}
+
+function closeWorkerWindows(opened) {
+  return Promise.all(opened.map((w) => chrome.windows.remove(w.windowId).catch(() => {})));
+}
+
+// ---------------------------------------------------------------------------
+// Accounts across worker tabs. FedEx may keep the selected account per
+// session rather than per tab, so tabs only work side by side on the same
+// account: a tab whose input is for another account waits at the gate until
+// the tabs on the current one are done, first come first served. The queue
+// goes account by account, so that wait comes once per account.
+// ---------------------------------------------------------------------------
+function inputAccount(inputIndex) {
+  return checkpoint.inputs[inputIndex].account?.number ?? null;
+}
+
+// Sorts queued input indexes account by account, in input order within each
+function orderByAccount(queue) {
+  const accounts = [...new Set(queue.map(inputAccount))];
+  queue.sort((a, b) => accounts.indexOf(inputAccount(a)) - accounts.indexOf(inputAccount(b)) || a - b);
+}
+
+function accountGate() {
+  let current = null; // the account the admitted tabs are working in
+  let working = 0;
+  const waiting = []; // [{ account, resolve }], in arrival order
+
+  function admit() {
+    while (waiting.length > 0 && (working === 0 || waiting[0].account === current)) {
+      const next = waiting.shift();
+      current = next.account;
+      working++;
+      next.resolve();
+    }
+  }
+
+  return {
+    enter(account) {
+      return new Promise((resolve) => {
+        waiting.push({ account, resolve });
+        admit();
+      });
+    },
+    leave() {
+      working--;
+      admit();
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Invoice documents (options.documents). Once every input is done, the main
+// tab asks the Account Summary page for each invoice's documents in turn
+// (REQUEST_INVOICE_DOCUMENT). The browser download FedEx starts is paused,
+// its bytes are read through the page (FETCH_DOCUMENT), and the download is
+// cancelled so the file only lands in the run's ZIP. A file that cannot be
+// read is resumed and downloads on its own.
+// ---------------------------------------------------------------------------
+const ZIP_MIME = "application/zip";
+const DOCUMENT_START_TIMEOUT = 30000; // for FedEx to start the download
+const DOCUMENT_LINGER = 2000;         // for further files of the same invoice
+const DOCUMENT_EXTENSIONS = {
+  "application/pdf": "pdf",
+  "application/zip": "zip",
+  "text/csv": "csv",
+  "application/vnd.ms-excel": "xls",
+  [XLSX_MIME]: "xlsx",
+};
+
+function isFedexDownload(item) {
+  return /^(blob:)?https:\/\/www\.fedex\.com\//.test(item.finalUrl || item.url || "");
+}
+
+// Runs `start` (the click that makes FedEx start downloading) and collects
+// the downloads it starts, each paused. → { result, items }
+async function catchDownloads(start) {
+  const items = [];
+  const listener = (item) => {
+    if (!isFedexDownload(item)) return;
+    items.push(item);
+    chrome.downloads.pause(item.id).catch(() => { /* already complete */ });
+  };
+  chrome.downloads.onCreated.addListener(listener);
+  try {
+    let result;
+    try {
+      result = await start();
+    } catch (err) {
+      result = { success: false, error: err.message };
+    }
+    if (result?.success) {
+      const t0 = Date.now();
+      while (items.length === 0 && Date.now() - t0 < Pacing.timeout(DOCUMENT_START_TIMEOUT)) {
+        await sleep(250);
+      }
+      if (items.length > 0) await sleep(DOCUMENT_LINGER);
+    }
+    return { result, items };
+  } finally {
+    chrome.downloads.onCreated.removeListener(listener);
+  }
+}
+
+// Take a caught download out of the browser's downloads (and off disk, if
+// it already finished)
+async function discardDownload(item) {
+  await chrome.downloads.cancel(item.id).catch(() => {});
+  const [current] = await chrome.downloads.search({ id: item.id });
+  if (current?.state === "complete") await chrome.downloads.removeFile(item.id).catch(() => {});
+  await chrome.downloads.erase({ id: item.id });
+}
+
+function documentExtension(item, mime) {
+  if (DOCUMENT_EXTENSIONS[mime]) return DOCUMENT_EXTENSIONS[mime];
+  if (DOCUMENT_EXTENSIONS[item.mime]) return DOCUMENT_EXTENSIONS[item.mime];
+  const name = (item.filename || "").split(/[\\/]/).pop();
+  const m = name.match(/\.([a-z0-9]{1,5})$/i);
+  return m ? m[1].toLowerCase() : "pdf";
+}
+
+function base64Bytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let k = 0; k < binary.length; k++) bytes[k] = binary.charCodeAt(k);
+  return bytes;
+}
+
+// Invoices worth asking for: one per invoice number, failed lookups left out
+function documentInvoices(allData) {
+  const seen = new Set();
+  return allData.filter((entry) => {
+    const number = entry.invoiceNumber;
+    if (isFailedEntry(entry) || !number || number === "N/A" || seen.has(number)) return false;
+    seen.add(number);
+    return true;
+  });
+}
+
+// → { files: [{ path, bytes }], manifest: [row] }, row as MANIFEST_COLUMNS
+async function collectInvoiceDocuments(tabId, allData) {
+  const unavailable = Profile.current().text.documentsUnavailable.map((t) => t.toLowerCase());
+  const invoices = documentInvoices(allData);
+  const files = [];
+  const manifest = [];
+  sendLog(`Fetching documents for ${invoices.length} invoice(s)...`);
+  await navigateTab(tabId, invoicesUrl());
+
+  for (const [n, entry] of invoices.entries()) {
+    if (cancelled) break;
+    const number = entry.invoiceNumber;
+    const status = entry.invoice?.documents || "";
+    const row = {
+      "Invoice number": number,
+      "Billing account": entry.invoice?.payerAccount || entry.lookup.account?.label || "",
+      "PDF status": status,
+      "File": "",
+      "Result": "",
+    };
+    manifest.push(row);
+    if (unavailable.includes(status.toLowerCase())) {
+      row.Result = `Not available (${status})`;
+      continue;
+    }
+
+    sendProgress(90 + Math.round((n / invoices.length) * 5), `Fetching documents ${n + 1}/${invoices.length}...`);
+    await throttle();
+    const { result, items } = await catchDownloads(() => sendToTab(tabId, {
+      action: "REQUEST_INVOICE_DOCUMENT",
+      invoiceNumber: number,
+      account: entry.lookup.account,
+    }));
+    if (!result?.success) {
+      row.Result = `Failed: ${result?.error || "no response"}`;
+      sendLog(`Documents of invoice #${number}: ${row.Result}`, "error");
+      continue;
+    }
+    if (items.length === 0) {
+      row.Result = "Failed: FedEx started no download";
+      sendLog(`Documents of invoice #${number}: ${row.Result}`, "error");
+      continue;
+    }
+
+    const saved = [];
+    const separate = [];
+    for (const item of items) {
+      let fetched;
+      try {
+        fetched = await sendToTab(tabId, { action: "FETCH_DOCUMENT", url: item.finalUrl || item.url });
+      } catch (err) {
+        fetched = { success: false, error: err.message };
+      }
+      if (!fetched?.success) {
+        chrome.downloads.resume(item.id).catch(() => {});
+        separate.push(fetched?.error || "no response");
+        continue;
+      }
+      const suffix = items.length > 1 ? `-${saved.length + 1}` : "";
+      const path = `documents/${number}${suffix}.${documentExtension(item, fetched.mime)}`;
+      files.push({ path, bytes: base64Bytes(fetched.base64) });
+      saved.push(path);
+      await discardDownload(item).catch(() => {});
+    }
+
+    row.File = saved.join("; ");
+    row.Result = saved.length > 0 ? "Included" : "";
+    if (separate.length > 0) {
+      row.Result = [row.Result, `${separate.length} file(s) downloaded separately (${separate.join("; ")})`]
+        .filter(Boolean).join("; ");
+    }
+    sendLog(`Documents of invoice #${number}: ${row.Result}`, separate.length > 0 ? "error" : "success");
+  }
+  return { files, manifest };
+}
+
+const MANIFEST_COLUMNS = ["Invoice number", "Billing account", "PDF status", "File", "Result"];
+
+// The run's output file, the documents, and manifest.csv listing what each
+// invoice got → ZIP bytes
+function bundleDocuments(outputName, outputBuffer, { files, manifest }) {
+  const lines = [MANIFEST_COLUMNS.join(",")];
+  for (const row of manifest) {
+    lines.push(MANIFEST_COLUMNS.map((k) => csvField(row[k])).join(","));
+  }
+  const zip = XLSX.CFB.utils.cfb_new();
+  XLSX.CFB.utils.cfb_add(zip, `/${outputName}`, new Uint8Array(outputBuffer));
+  for (const { path, bytes } of files) XLSX.CFB.utils.cfb_add(zip, `/${path}`, bytes);
+  XLSX.CFB.utils.cfb_add(zip, "/manifest.csv", new TextEncoder().encode(lines.join("\r\n") + "\r\n"));
+  return XLSX.CFB.write(zip, { fileType: "zip", type: "array", compression: true });
+}
+
+// ---------------------------------------------------------------------------
+// Main extraction orchestrator
+// Pass `resumeFrom` (a stored checkpoint) to continue an interrupted run:
+// finished inputs and already-scraped tracking IDs are skipped.
+// With options.tabs > 1 the inputs are shared out across that many tabs,
+// each taking the next unstarted input when it finishes one; entries still
+// land in allData in input order. Resolves with the run's DONE payload.
+// ---------------------------------------------------------------------------
+async function runExtraction(inputs, tabId, options = {}, resumeFrom = null) {
+  cancelled = false;
+  checkpoint = upgradeCheckpoint(resumeFrom || {
+    runId: `run-${Date.now()}`,
+    startedAt: new Date().toISOString(),
+    inputs,
+    options,
+    inputIndex: 0,
+    allData: [],
+  });
+  checkpoint.tabId = tabId;
+  const allData = checkpoint.allData;
+  let extraWindows = [];
+
+  try {
+    await saveCheckpoint();
+    Pacing.configure(await Pacing.loadSettings());
+    const profile = await Profile.load();
+    await beginAudit(checkpoint.runId, "extraction", {
+      inputs, options, pacing: Pacing.snapshot(), profile: profileStamp(profile),
+    });
+    sendLog(`Pacing: ${Pacing.describe()}`);
+    sendLog(`Selector profile: ${Profile.describe(profile)}`);
+    await configureCapture();
+    audit.settings.capture = captureMode;
+    await loadCache();
+    const cachedCount = Object.keys(cache.invoices).length;
+    if (options.refresh) {
+      sendLog("Force refresh: every invoice and shipment is read from FedEx again");
+    } else if (cachedCount > 0) {
+      sendLog(`Cache: ${cachedCount} invoice(s) and ${Object.keys(cache.shipments).length} shipment(s) ` +
+        "are reused while unchanged");
+    }
+
+    if (resumeFrom) {
+      sendLog(`Resuming run from input ${checkpoint.inputIndex + 1}/${inputs.length} ` +
+        `(${allData.length} invoice(s) already done)`, "success");
+    }
+
+    // Resumed runs and scheduled pulls already have an input per account
+    if (!resumeFrom && !inputs.some((input) => input.account)) {
+      let accounts;
+      try {
+        accounts = await resolveAccounts(tabId, options.accounts);
+      } catch (err) {
+        await clearCheckpoint(); // nothing started: no run to resume
+        throw err;
+      }
+      checkpoint.inputs = withAccounts(inputs, accounts);
+      audit.settings.accounts = accounts.map((a) => a.label);
+      await saveCheckpoint();
+      if (accounts.length > 1) {
+        sendLog(`Searching ${accounts.length} accounts: ${accounts.map((a) => a.label).join(", ")} ` +
+          `(${checkpoint.inputs.length} lookups)`);
+      } else if (accounts.length === 1) {
+        sendLog(`Account: ${accounts[0].label}`);
+      }
+    }
+
+    const totalSteps = checkpoint.inputs.length;
+    const queue = [];
+    for (let i = checkpoint.inputIndex; i < totalSteps; i++) {
+      if (!checkpoint.finished.includes(i)) queue.push(i);
+    }
+    const tabCount = Math.max(1, Math.min(options.tabs || 1, MAX_WORKER_TABS, queue.length));
+
+    if (tabCount > 1) {
+      try {
+        extraWindows = await openWorkerWindows(tabId, tabCount - 1);
+      } catch (err) {
+        sendLog(`Could not open extra tabs (${err.message}) — using this tab only`, "error");
+      }
+    }
+    const tabIds = [tabId, ...extraWindows.map((w) => w.tabId)];
+    tabIds.forEach((id, n) => workers.set(id, { label: `Tab ${n + 1}`, percent: 0, text: "Starting..." }));
+    if (tabIds.length > 1) {
+      sendLog(`Sharing ${queue.length} input(s) across ${tabIds.length} tabs`);
+      orderByAccount(queue);
+    }
+
+    // A worker that fails stops the others after their current input
+    let failure = null;
+    const gate = accountGate();
+    await Promise.all(tabIds.map(async (workerTab) => {
+      try {
+        while (queue.length > 0 && !cancelled && !failure) {
+          const inputIndex = queue.shift();
+          await gate.enter(inputAccount(inputIndex));
+          try {
+            if (!cancelled && !failure) await processInput(workerTab, inputIndex, options);
+          } finally {
+            gate.leave();
+          }
+        }
+      } catch (err) {
+        failure = failure || err;
+      }
+    }));
+    if (failure) throw failure;
+
+    if (cancelled) {
+      sendLog("Extraction cancelled. Progress is saved — reopen the popup to resume.", "error");
+      return sendDone({ error: "Cancelled by user" });
+    }
+
+    // Step 4: Fetch the invoices' documents, in the main tab only
+    let documents = null;
+    if (options.documents) {
+      documents = await collectInvoiceDocuments(tabId, allData);
+      if (cancelled) {
+        sendLog("Extraction cancelled. Progress is saved — reopen the popup to resume.", "error");
+        return sendDone({ error: "Cancelled by user" });
+      }
+    }
+
+    // Step 5: Generate the output file
+    const format = OUTPUT_FORMATS[options.format] || OUTPUT_FORMATS.xlsx;
+    sendProgress(95, `Generating ${format.label} file...`);
+    sendLog(`Generating ${format.label}...`);
+
+    const outputData = collapseAccountMisses(allData);
+    const candidates = Disputes.findCandidates(outputData.flatMap(shipmentRows));
+    if (candidates.length > 0) {
+      sendLog(describeDisputes(candidates) +
+        (format === OUTPUT_FORMATS.xlsx ? " — see the Disputes sheet" : " — export them from the History page"));
+    }
+    let outputBuffer;
+    try {
+      outputBuffer = format.build(outputData, options.auditSheet ? audit : null);
+    } catch (err) {
+      sendLog(`${format.label} generation failed: ${err.message}`, "error");
+      return sendDone({ error: `${format.label} generation failed: ` + err.message });
+    }
+
+    // Step 6: Download (straight into options.saveFolder, without asking,
+    // for scheduled pulls), zipped with the documents if there are any
+    const timestamp = new Date().toISOString().slice(0, 10);
+    let filename = `FedEx_Invoices_${timestamp}.${format.extension}`;
+    let mime = format.mime;
+    if (documents) {
+      sendLog(`Zipping the ${format.label} with ${documents.files.length} document(s)...`);
+      try {
+        outputBuffer = bundleDocuments(filename, outputBuffer, documents);
+      } catch (err) {
+        sendLog(`ZIP generation failed: ${err.message}`, "error");
+        return sendDone({ error: "ZIP generation failed: " + err.message });
+      }
+      filename = `FedEx_Invoices_${timestamp}.zip`;
+      mime = ZIP_MIME;
+    }
+    const file = options.saveFolder ? `${options.saveFolder}/${filename}` : filename;
+    try {
+      await downloadBuffer(outputBuffer, mime, file, !options.saveFolder);
+    } catch (err) {
+      sendLog(`Download error: ${err.message}`, "error");
+      return sendDone({ error: err.message });
+    }
+
+    const totalShipments = outputData.reduce(
+      (sum, d) => sum + d.shipments.length, 0
+    );
+    await clearCheckpoint();
+    sendProgress(100, "Done!");
+    sendLog(`${documents ? "ZIP" : format.label} downloaded!`, "success");
+    return sendDone({ shipmentCount: totalShipments, invoiceCount: outputData.length, file });
+  } catch (err) {
+    sendLog(`Fatal error: ${err.message}`, "error");
+    return sendDone({ error: err.message });
+  } finally {
+    await closeWorkerWindows(extraWindows);
+    await stopCapture();
+    workers.clear();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Invoice list export: scrape every row of the Account Summary table
+// (optionally filtered by invoice date range / status) into one workbook
+// ---------------------------------------------------------------------------
+async function runInvoiceListExport(tabId, filters = {}) {
+  try {
+    Pacing.configure(await Pacing.loadSettings());
+    const profile = await Profile.load();
+    await beginAudit(`list-${Date.now()}`, "invoice-list", {
+      filters, pacing: Pacing.snapshot(), profile: profileStamp(profile),
+    });
+    sendLog(`Pacing: ${Pacing.describe()}`);
+    sendLog(`Selector profile: ${Profile.describe(profile)}`);
+    await configureCapture();
+    audit.settings.capture = captureMode;
+
+    sendProgress(5, "Opening invoice list...");
+    sendLog("--- Exporting invoice list ---");
+    await navigateTab(tabId, invoicesUrl());
+
+    sendProgress(20, "Reading every invoice row...");
+    const result = await sendToTab(tabId, { action: "SCRAPE_INVOICE_LIST", filters }, 600000);
+    if (!result || !result.success) {
+      sendLog(`Invoice list export failed: ${result?.error || "unknown"}`, "error");
+      if (result?.diagnostics) logDiagnostics(tabId, result.diagnostics);
+      sendDone({ error: result?.error || "Invoice list not found" });
+      return;
+    }
+
+    const complete = result.expected == null || result.collected >= result.expected;
+    sendLog(`Collected ${result.collected} invoice(s)` +
+      (result.expected != null ? ` of ${result.expected} listed` : ""), complete ? "success" : "error");
+    sendLog(`${result.invoices.length} invoice(s) match the export filters`, "success");
+
+    sendProgress(90, "Generating Excel file...");
+    const buffer = generateInvoiceListXlsx(result.invoices);
+    const timestamp = new Date().toISOString().slice(0, 10);
+    await downloadBuffer(buffer, XLSX_MIME, `FedEx_Invoice_List_${timestamp}.xlsx`);
+
+    sendProgress(100, "Done!");
+    sendLog("Invoice list downloaded!", "success");
+    sendDone({ exportedInvoiceCount: result.invoices.length });
+  } catch (err) {
+    sendLog(`Invoice list export failed: ${err.message}`, "error");
+    sendDone({ error: err.message });
+  } finally {
+    await stopCapture();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Page check (popup): compare the open billing page with the selector
+// profile's fingerprint of it. Responds { success, url, report } or
+// { success: false, error }.
+// ---------------------------------------------------------------------------
+async function checkPage(tabId) {
+  if (running) return { success: false, error: "A run is in progress" };
+  try {
+    await ensureContentScript(tabId);
+    const result = await sendToTab(tabId, { action: "CHECK_PAGE" }, 60000);
+    return result || { success: false, error: "No response from the page" };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Scheduled pulls (Settings page): an alarm opens the billing site in a
+// window of its own, lists the invoices issued since the last successful
+// pull, extracts them like a normal run and saves the file without asking.
+// A notification reports the result, or asks for a login when FedEx shows
+// its sign-in page instead.
+//
+// scheduleSettings = { enabled, days: [0–6, Sunday = 0], time: "HH:MM",
+//                      accounts: "current"|"all", mode, format }
+// scheduleState    = { lastSuccessAt, pulled: [invoice number],
+//                      lastRun: { at, outcome, error } }
+// ---------------------------------------------------------------------------
+const SCHEDULE_SETTINGS_KEY = "scheduleSettings";
+const SCHEDULE_STATE_KEY = "scheduleState";
+const SCHEDULE_ALARM = "scheduled-pull";
+const SCHEDULE_RETRY_MINUTES = 15;
+const SCHEDULE_FIRST_LOOKBACK_DAYS = 7;
+const SCHEDULE_FOLDER = "FedEx Scheduled Pulls";
+const LOGIN_NOTIFICATION = "scheduled-pull-login";
+const BILLING_URL_PART = "fedex.com/online/billing";
+
+async function loadSchedule() {
+  const stored = await chrome.storage.local.get([SCHEDULE_SETTINGS_KEY, SCHEDULE_STATE_KEY]);
+  return { schedule: stored[SCHEDULE_SETTINGS_KEY] || null, state: stored[SCHEDULE_STATE_KEY] || {} };
+}
+
+function saveScheduleState(state) {
+  return chrome.storage.local.set({ [SCHEDULE_STATE_KEY]: state });
+}
+
+// The first of the schedule's days and time after `from` (ms), or null
+function nextPullTime(schedule, from = Date.now()) {
+  const [hours, minutes] = schedule.time.split(":").map(Number);
+  for (let d = 0; d <= 7; d++) {
+    const at = new Date(from);
+    at.setDate(at.getDate() + d);
+    at.setHours(hours, minutes, 0, 0);
+    if (at.getTime() > from && schedule.days.includes(at.getDay())) return at.getTime();
+  }
+  return null;
+}
+
+// → the next pull's time (ms), or null when nothing is scheduled
+async function scheduleNextPull() {
+  const { schedule } = await loadSchedule();
+  await chrome.alarms.clear(SCHEDULE_ALARM);
+  if (!schedule?.enabled || !schedule.days?.length) return null;
+  const when = nextPullTime(schedule);
+  if (when) await chrome.alarms.create(SCHEDULE_ALARM, { when });
+  return when;
+}
+
+function notify(id, title, message) {
+  return chrome.notifications.create(id, {
+    type: "basic",
+    iconUrl: "icons/icon128.png",
+    title,
+    message,
+  }).catch(() => {});
+}
+
+// "YYYY-MM-DD" in local time, as the invoice date filters expect
+function localIsoDate(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+async function onBillingSite(tabId) {
+  const tab = await chrome.tabs.get(tabId);
+  return !!tab.url && tab.url.includes(BILLING_URL_PART);
+}
+
+// Invoices issued since `fromDate` in each account, minus the ones the last
+// pull already took (it may have run earlier the same day).
+// → { inputs, listed: [invoice number] }
+async function listNewInvoices(tabId, accounts, fromDate, pulled) {
+  const inputs = [];
+  const listed = [];
+  for (const account of accounts.length > 0 ? accounts : [null]) {
+    await navigateTab(tabId, invoicesUrl());
+    const result = await sendToTab(tabId, {
+      action: "SCRAPE_INVOICE_LIST",
+      filters: { fromDate },
+      account,
+    }, 600000);
+    if (!result || !result.success) {
+      throw new Error(result?.error || "Invoice list not found");
+    }
+    for (const inv of result.invoices) {
+      listed.push(inv.invoiceNumber);
+      if (pulled.has(inv.invoiceNumber)) continue;
+      inputs.push({ type: "invoice", value: inv.invoiceNumber, ...(account ? { account } : {}) });
+    }
+  }
+  return { inputs, listed };
+}
+
+async function runScheduledPull() {
+  // Held until the pull has saved its state and scheduled the next one, so
+  // no run starts in between
+  const claim = claimRun("scheduled-pull");
+  if (!claim) {
+    // A run started by hand: try again shortly
+    chrome.alarms.create(SCHEDULE_ALARM, { delayInMinutes: SCHEDULE_RETRY_MINUTES });
+    return;
+  }
+
+  const lastRun = { at: new Date().toISOString() };
+  let state = null; // set once the schedule is loaded and on
+  let win = null;
+  try {
+    const loaded = await loadSchedule();
+    if (!loaded.schedule?.enabled) return;
+    const schedule = loaded.schedule;
+    state = loaded.state;
+
+    const unfinished = await loadCheckpoint();
+    if (unfinished?.options?.scheduled) {
+      // An earlier pull stopped part way: this one lists its invoices again
+      await clearCheckpoint();
+    } else if (unfinished) {
+      lastRun.outcome = "Skipped: an unfinished run is waiting to be resumed";
+      notify("scheduled-pull", "Scheduled FedEx pull skipped",
+        "An unfinished run is waiting. Resume or discard it from the popup; the next pull catches up.");
+      return;
+    }
+
+    Pacing.configure(await Pacing.loadSettings());
+    await Profile.load();
+    const since = state.lastSuccessAt
+      ? new Date(state.lastSuccessAt)
+      : new Date(Date.now() - SCHEDULE_FIRST_LOOKBACK_DAYS * 86400000);
+    const fromDate = localIsoDate(since);
+
+    // Timers in background tabs are throttled: use an unfocused window
+    win = await chrome.windows.create({ url: invoicesUrl(), focused: false });
+    const tabId = win.tabs[0].id;
+    await waitForTabLoad(tabId);
+    if (await onBillingSite(tabId)) {
+      await ensureContentScript(tabId);
+      await waitForPageReady(tabId); // the app may still route to sign-in
+    }
+    if (!(await onBillingSite(tabId))) {
+      lastRun.outcome = "Not logged in to FedEx";
+      notify(LOGIN_NOTIFICATION, "Scheduled FedEx pull: please log in",
+        "Your FedEx session has expired. Click to open FedEx Billing Online and log in; the next pull catches up.");
+      return;
+    }
+
+    const accounts = await resolveAccounts(tabId, schedule.accounts);
+    const { inputs, listed } = await listNewInvoices(tabId, accounts, fromDate, new Set(state.pulled || []));
+    if (inputs.length === 0) {
+      lastRun.outcome = `No new invoices since ${since.toLocaleDateString()}`;
+      Object.assign(state, { lastSuccessAt: lastRun.at, pulled: listed });
+      notify("scheduled-pull", "Scheduled FedEx pull", lastRun.outcome);
+      return;
+    }
+
+    sendLog(`Scheduled pull: ${inputs.length} new invoice(s) since ${fromDate}`);
+    let done;
+    try {
+      done = await runExtraction(inputs, tabId, {
+        mode: schedule.mode || "full",
+        format: schedule.format || "xlsx",
+        tabs: 1,
+        saveFolder: SCHEDULE_FOLDER,
+        scheduled: true,
+      });
+    } finally {
+      // Nothing to resume by hand: the next pull lists what this one missed,
+      // and a leftover checkpoint would make every later pull skip
+      await clearCheckpoint();
+    }
+    if (done.error) throw new Error(done.error);
+
+    lastRun.outcome = `${done.invoiceCount} invoice(s), ${done.shipmentCount} shipment(s) saved to ${done.file}`;
+    Object.assign(state, { lastSuccessAt: lastRun.at, pulled: listed });
+    notify("scheduled-pull", "Scheduled FedEx pull finished", lastRun.outcome);
+  } catch (err) {
+    lastRun.outcome = "Failed";
+    lastRun.error = err.message;
+    notify("scheduled-pull", "Scheduled FedEx pull failed", err.message);
+  } finally {
+    if (win) await chrome.windows.remove(win.id).catch(() => {});
+    if (state) {
+      await saveScheduleState({ ...state, lastRun }).catch((err) => console.error("Schedule state save failed:", err));
+    }
+    await scheduleNextPull().catch((err) => console.error("Scheduling the next pull failed:", err));
+    releaseRun(claim);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Saved pages (offline.html): the page parses the files itself and sends
+// run-shaped entries, or invoice list records when it only had Account
+// Summary pages. Responds { success, error }.
+// ---------------------------------------------------------------------------
+async function exportSavedPages(entries = [], invoices = []) {
+  try {
+    const timestamp = new Date().toISOString().slice(0, 10);
+    if (entries.length > 0) {
+      await downloadBuffer(generateXlsx(entries), XLSX_MIME, `FedEx_Saved_Pages_${timestamp}.xlsx`);
+    } else if (invoices.length > 0) {
+      await downloadBuffer(generateInvoiceListXlsx(invoices), XLSX_MIME, `FedEx_Invoice_List_${timestamp}.xlsx`);
+    } else {
+      return { success: false, error: "No invoice or shipment data in the saved pages" };
+    }
+    return { success: true };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// History page (history.html): the page searches the shipment history itself
+// and sends the rows it found. One sheet, every row. Responds { success, error }.
+// ---------------------------------------------------------------------------
+async function exportHistory(rows = []) {
+  try {
+    if (rows.length === 0) return { success: false, error: "No shipments to export" };
+    const wb = XLSX.utils.book_new();
+    const chargeColumns = workbookChargeColumns([{ shipments: rows }]);
+    XLSX.utils.book_append_sheet(wb, shipmentSheet(rows, chargeColumns), "Shipments");
+    const timestamp = new Date().toISOString().slice(0, 10);
+    await downloadBuffer(XLSX.write(wb, { bookType: "xlsx", type: "array" }), XLSX_MIME,
+      `FedEx_Shipment_History_${timestamp}.xlsx`);
+    return { success: true };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Dispute worksheet (history.html): the dispute candidates among the rows
+// the page found, on their own. Responds { success, error, count }.
+// ---------------------------------------------------------------------------
+async function exportDisputes(rows = []) {
+  try {
+    const candidates = Disputes.findCandidates(rows);
+    if (candidates.length === 0) return { success: false, error: "No dispute candidates among these shipments" };
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, disputeSheet(candidates), DISPUTES_SHEET);
+    const timestamp = new Date().toISOString().slice(0, 10);
+    await downloadBuffer(XLSX.write(wb, { bookType: "xlsx", type: "array" }), XLSX_MIME,
+      `FedEx_Dispute_Worksheet_${timestamp}.xlsx`);
+    return { success: true, count: candidates.length };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Listen for messages from popup
 // ---------------------------------------------------------------------------
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  // Content script [CS] lines go to the popup directly; keep them for the audit
+  if (msg.type === "LOG" && sender.tab) {
+    auditLog(tabPrefix(sender.tab.id) + msg.text, msg.level || "info", "content");
+    return false;
+  }
+  if (msg.type === "CAPTURED" && sender.tab) {
+    if (captureMode) auditPayload(msg.url, msg.status, msg.body);
+    return false;
+  }
+
   if (msg.type === "START_EXTRACTION") {
+    const claim = claimRun("extraction");
+    if (!claim) {
+      sendResponse({ ack: false, error: "A run is already in progress" });
+      return true;
+    }
+    sendResponse({ ack: true });
+    runExtraction(msg.inputs, msg.tabId, msg.options)
+      .catch((err) => console.error("Extraction failed:", err))
+      .finally(() => releaseRun(claim));
+    return true;
+  } else if (msg.type === "EXPORT_INVOICE_LIST") {
+    const claim = claimRun("invoice-list");
+    if (!claim) {
+      sendResponse({ ack: false, error: "A run is already in progress" });
+      return true;
+    }
     sendResponse({ ack: true });
-    runExtraction(msg.amounts, msg.tabId);
+    runInvoiceListExport(msg.tabId, msg.filters)
+      .catch((err) => console.error("Invoice list export failed:", err))
+      .finally(() => releaseRun(claim));
+    return true;
+  } else if (msg.type === "RESUME_EXTRACTION") {
+    loadCheckpoint().then((cp) => {
+      const claim = cp && claimRun("extraction");
+      if (!claim) {
+        sendResponse({ ack: false, error: running ? "A run is already in progress" : "Nothing to resume" });
+        return;
+      }
+      sendResponse({ ack: true });
+      runExtraction(cp.inputs, msg.tabId, cp.options, cp)
+        .catch((err) => console.error("Extraction failed:", err))
+        .finally(() => releaseRun(claim));
+    });
+    return true;
+  } else if (msg.type === "GET_STATUS") {
+    loadCheckpoint().then((cp) => {
+      sendResponse({ running: Boolean(running), checkpoint: cp ? summarizeCheckpoint(cp) : null });
+    });
+    return true;
+  } else if (msg.type === "DISCARD_CHECKPOINT") {
+    if (running) {
+      sendResponse({ ack: false });
+      return true;
+    }
+    clearCheckpoint().then(() => sendResponse({ ack: true }));
+    return true;
+  } else if (msg.type === "LIST_ACCOUNTS") {
+    if (running) {
+      sendResponse({ success: false, error: "A run is in progress" });
+      return false;
+    }
+    listAccounts(msg.tabId).then(sendResponse);
+    return true;
+  } else if (msg.type === "CHECK_PAGE") {
+    checkPage(msg.tabId).then(sendResponse);
+    return true;
+  } else if (msg.type === "EXPORT_SAVED_PAGES") {
+    exportSavedPages(msg.entries, msg.invoices).then(sendResponse);
+    return true;
+  } else if (msg.type === "EXPORT_HISTORY") {
+    exportHistory(msg.rows).then(sendResponse);
+    return true;
+  } else if (msg.type === "EXPORT_DISPUTES") {
+    exportDisputes(msg.rows).then(sendResponse);
+    return true;
+  } else if (msg.type === "EXPORT_AUDIT") {
+    exportAudit(msg.format, msg.runId).then(sendResponse);
+    return true;
+  } else if (msg.type === "SAVE_SCHEDULE") {
+    chrome.storage.local.set({ [SCHEDULE_SETTINGS_KEY]: msg.schedule })
+      .then(scheduleNextPull)
+      .then((nextAt) => sendResponse({ success: true, nextAt }))
+      .catch((err) => sendResponse({ success: false, error: err.message }));
+    return true;
+  } else if (msg.type === "RUN_SCHEDULED_PULL") {
+    sendResponse(running ? { ack: false, error: "A run is in progress" } : { ack: true });
+    if (!running) runScheduledPull();
+    return true;
+  } else if (msg.type === "CLEAR_CACHE") {
+    if (running) {
+      sendResponse({ success: false, error: "A run is in progress" });
+      return false;
+    }
+    clearCache()
+      .then(() => sendResponse({ success: true }))
+      .catch((err) => sendResponse({ success: false, error: err.message }));
     return true;
   } else if (msg.type === "CANCEL_EXTRACTION") {
     cancelled = true;
@@ -436,3 +2675,24 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   }
   return false;
 });
+
+// ---------------------------------------------------------------------------
+// Scheduled pulls: the alarm, the login prompt, and keeping the alarm set
+// across updates and browser restarts
+// ---------------------------------------------------------------------------
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SCHEDULE_ALARM) runScheduledPull();
+});
+
+chrome.notifications.onClicked.addListener((id) => {
+  if (id === LOGIN_NOTIFICATION) chrome.tabs.create({ url: invoicesUrl() });
+  chrome.notifications.clear(id);
+});
+
+chrome.runtime.onInstalled.addListener(() => { scheduleNextPull(); });
+
+// A pull that came due while Chrome was closed fires once it starts again;
+// only set the alarm when it is missing
+chrome.runtime.onStartup.addListener(async () => {
+  if (!(await chrome.alarms.get(SCHEDULE_ALARM))) scheduleNextPull();
+});
@@ -0,0 +1,102 @@
+"use strict";
+
+// ==========================================================================
+// FedEx Invoice Scraper — Network capture (page world)
+//
+// Registered by the background worker only while a run has API capture on.
+// Runs in the page's own JavaScript world at document_start, so it wraps
+// fetch() and XMLHttpRequest before the Angular app makes its first call.
+// JSON responses are copied to the content script over a MessageChannel;
+// the app still gets the untouched response.
+//
+// The page's own scripts share this world and can post window messages
+// too, so nothing arrives on window.postMessage alone: the background
+// worker calls window.__fedexCaptureConnect with a nonce for this page
+// load, and the channel is offered to the content script along with it.
+// The content script only takes a channel that comes with the nonce it got
+// from the background. Whoever sees the offer can listen on the channel,
+// but only this script holds the end that posts. Responses that arrive
+// before the channel is connected are kept and posted once it is.
+// ==========================================================================
+
+(() => {
+  if (window.__fedexCaptureInstalled) return;
+  window.__fedexCaptureInstalled = true;
+
+  const SOURCE = "fedex-scraper-capture"; // FedexPayloads.CAPTURE_SOURCE
+  const MAX_KEPT = 100;
+  const MAX_TEXT_LENGTH = 5000000;
+  const kept = [];
+  const ports = [];
+
+  // Taken before the page's scripts run, which could wrap them later
+  const Channel = window.MessageChannel;
+  const postWindowMessage = window.postMessage.bind(window);
+  const postPortMessage = MessagePort.prototype.postMessage;
+  const { apply } = Reflect;
+
+  function post(payload) {
+    for (const port of ports) apply(postPortMessage, port, [payload]);
+  }
+
+  function publish(url, status, body) {
+    if (!body || typeof body !== "object") return;
+    const payload = { url: String(url), status, body, time: new Date().toISOString() };
+    kept.push(payload);
+    if (kept.length > MAX_KEPT) kept.shift();
+    post(payload);
+  }
+
+  function publishText(url, status, text) {
+    if (!text || text.length > MAX_TEXT_LENGTH) return;
+    try {
+      publish(url, status, JSON.parse(text));
+    } catch { /* not JSON after all */ }
+  }
+
+  const isJson = (contentType) => /json/i.test(contentType || "");
+
+  // --- fetch ---
+  const originalFetch = window.fetch;
+  window.fetch = function (...args) {
+    const result = originalFetch.apply(this, args);
+    result.then((response) => {
+      if (!isJson(response.headers.get("content-type"))) return;
+      response.clone().text()
+        .then((text) => publishText(response.url, response.status, text))
+        .catch(() => {});
+    }).catch(() => {});
+    return result;
+  };
+
+  // --- XMLHttpRequest (Angular's HttpClient) ---
+  const originalOpen = XMLHttpRequest.prototype.open;
+  const originalSend = XMLHttpRequest.prototype.send;
+
+  XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+    this.__fedexCaptureUrl = url;
+    return originalOpen.call(this, method, url, ...rest);
+  };
+
+  XMLHttpRequest.prototype.send = function (...args) {
+    this.addEventListener("load", () => {
+      if (!isJson(this.getResponseHeader("content-type"))) return;
+      const url = this.responseURL || this.__fedexCaptureUrl;
+      if (this.responseType === "json") publish(url, this.status, this.response);
+      else if (this.responseType === "" || this.responseType === "text") publishText(url, this.status, this.responseText);
+    });
+    return originalSend.apply(this, args);
+  };
+
+  // Called by the background (connectCapture()) once the content script
+  // is waiting for the nonce; fixed in place so the page cannot swap it
+  Object.defineProperty(window, "__fedexCaptureConnect", {
+    value(nonce) {
+      const channel = new Channel();
+      postWindowMessage({ source: SOURCE, type: "CHANNEL", nonce: String(nonce) }, window.location.origin,
+        [channel.port2]);
+      ports.push(channel.port1);
+      for (const payload of kept) apply(postPortMessage, channel.port1, [payload]);
+    },
+  });
+})();
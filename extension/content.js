@@ -14,6 +14,32 @@ if (window.__fedexScraperLoaded) {
 } else {
   window.__fedexScraperLoaded = true;
 
+// Pure page readers live in extractors.js (shared with the offline page)
+const {
+  findClickable, normalizeAmount, normalizeId, readTableTotal, invoiceSummary, invoiceStamp,
+  scrapeInvoiceRows, scrapeInvoiceTableRecords,
+  scrapeShipmentTable, scrapeTrackingIds, readShipmentDetails, checkPageStructure,
+} = window.FedexExtractors;
+const {
+  CAPTURE_SOURCE, readPayload, invoiceRecord, invoiceRows, shipmentRow, shipmentDetails,
+} = window.FedexPayloads;
+
+// Waits and timeouts follow the background's pacing (pacing.js); every
+// message carries the current profile and adaptive factor
+const Pacing = self.FedexPacing;
+
+// What to look for on the page comes from the selector profile
+// (profile.js): the built-in one or one imported on the Settings page.
+// Messages wait until it is loaded; an import reloads it.
+const Profile = self.FedexProfile;
+let profileReady = Profile.load().catch(() => Profile.current());
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes[Profile.STORAGE_KEY]) {
+    profileReady = Profile.load().catch(() => Profile.current());
+  }
+});
+
 // ---------------------------------------------------------------------------
 // Utility: send a debug log back to the background/popup
 // ---------------------------------------------------------------------------
@@ -23,18 +49,98 @@ function debugLog(text) {
   } catch { /* popup may be closed */ }
 }
 
+// ---------------------------------------------------------------------------
+// API capture: records mapped from the JSON payloads capture.js copies out
+// of the page (it only runs while a run has capture on). Every full page
+// load starts with empty maps. The records are only used when the
+// background's message says the run captures.
+//
+// Payloads only count when they come over the channel capture.js offers
+// with the nonce the background sent for this page load (CAPTURE_NONCE):
+// any page script can post a window message that looks like capture.js.
+// ---------------------------------------------------------------------------
+let captureEnabled = false;
+let captureNonce = null;
+let captureChannel = null;
+const captured = {
+  invoices: new Map(),  // normalized invoice number → invoice list record
+  shipments: new Map(), // tracking ID → shipment table row
+  details: new Map(),   // tracking ID → shipment details
+};
+
+// The run log keeps no payload bigger than this (AUDIT_PAYLOAD_MAX_CHARS
+// in background.js): larger bodies are not sent there at all
+const CAPTURED_MAX_CHARS = 1000000;
+
+window.addEventListener("message", (e) => {
+  if (e.source !== window || !e.data || e.data.source !== CAPTURE_SOURCE || e.data.type !== "CHANNEL") return;
+  if (captureChannel || !captureNonce || e.data.nonce !== captureNonce || !e.ports[0]) return;
+  captureChannel = e.ports[0];
+  captureChannel.onmessage = (msg) => receivePayload(msg.data);
+});
+
+function receivePayload(payload) {
+  if (!payload || typeof payload !== "object" || !payload.body) return;
+  const { url, status, body } = payload;
+
+  const found = readPayload(body);
+  for (const obj of found.invoices) {
+    const record = invoiceRecord(obj);
+    captured.invoices.set(normalizeId(record.invoiceNumber), record);
+  }
+  for (const obj of found.shipments) {
+    const row = shipmentRow(obj);
+    captured.shipments.set(row["Tracking ID number"], row);
+  }
+  for (const obj of found.details) {
+    const data = shipmentDetails(obj);
+    if (data["Tracking ID number"]) captured.details.set(data["Tracking ID number"], data);
+  }
+
+  const seen = [
+    [found.invoices.length, "invoice(s)"],
+    [found.shipments.length, "shipment row(s)"],
+    [found.details.length, "shipment detail(s)"],
+  ].filter(([n]) => n > 0).map(([n, what]) => `${n} ${what}`);
+  if (seen.length > 0) debugLog(`Captured ${seen.join(", ")} from ${url}`);
+
+  // The background keeps payloads in the run log for replaying later
+  if (JSON.stringify(body).length > CAPTURED_MAX_CHARS) return;
+  try {
+    chrome.runtime.sendMessage({ type: "CAPTURED", url, status, body });
+  } catch { /* extension reloaded */ }
+}
+
+// Captured records, or null unless capture is on and they cover the whole
+// table (the total in its header, when there is one)
+function capturedList(map, expected) {
+  if (!captureEnabled || map.size === 0) return null;
+  if (expected != null && map.size < expected) return null;
+  return [...map.values()];
+}
+
+// A shipment's captured details, waiting briefly for its response
+async function waitForCaptured(map, key) {
+  const t0 = Date.now();
+  while (!map.has(key) && Date.now() - t0 < Pacing.settle()) {
+    await new Promise((r) => setTimeout(r, 200));
+  }
+  return map.get(key) || null;
+}
+
 // ---------------------------------------------------------------------------
 // Utility: wait for an element to appear in the DOM
 // ---------------------------------------------------------------------------
 function waitForElement(selector, timeout = 15000) {
+  const limit = Pacing.timeout(timeout);
   return new Promise((resolve, reject) => {
     const existing = document.querySelector(selector);
     if (existing) return resolve(existing);
 
     const timer = setTimeout(() => {
       observer.disconnect();
-      reject(new Error(`Timeout waiting for "${selector}" (${timeout}ms)`));
-    }, timeout);
+      reject(new Error(`Timeout waiting for "${selector}" (${limit}ms)`));
+    }, limit);
 
     const observer = new MutationObserver(() => {
       const el = document.querySelector(selector);
@@ -53,6 +159,7 @@ function waitForElement(selector, timeout = 15000) {
 // Utility: wait for ANY of multiple selectors to appear
 // ---------------------------------------------------------------------------
 function waitForAny(selectors, timeout = 20000) {
+  const limit = Pacing.timeout(timeout);
   return new Promise((resolve, reject) => {
     for (const sel of selectors) {
       const existing = document.querySelector(sel);
@@ -62,7 +169,7 @@ function waitForAny(selectors, timeout = 20000) {
     const timer = setTimeout(() => {
       observer.disconnect();
       reject(new Error(`Timeout waiting for any of: ${selectors.join(", ")}`));
-    }, timeout);
+    }, limit);
 
     const observer = new MutationObserver(() => {
       for (const sel of selectors) {
@@ -85,6 +192,7 @@ function waitForAny(selectors, timeout = 20000) {
 // (works for Angular SPA pushState routing)
 // ---------------------------------------------------------------------------
 function waitForUrlChange(substring, timeout = 30000) {
+  const limit = Pacing.timeout(timeout);
   return new Promise((resolve, reject) => {
     if (window.location.href.includes(substring)) return resolve();
 
@@ -93,53 +201,53 @@ function waitForUrlChange(substring, timeout = 30000) {
       if (window.location.href.includes(substring)) {
         clearInterval(interval);
         resolve();
-      } else if (Date.now() - t0 > timeout) {
+      } else if (Date.now() - t0 > limit) {
         clearInterval(interval);
-        reject(new Error(`URL never contained "${substring}" (timeout ${timeout}ms). Current: ${window.location.href}`));
+        reject(new Error(`URL never contained "${substring}" (timeout ${limit}ms). Current: ${window.location.href}`));
       }
     }, 200);
   });
 }
 
 // ---------------------------------------------------------------------------
-// Utility: wait until a specific data-label appears in the DOM
+// Utility: wait until a column (any of its profile data-labels) appears
 // ---------------------------------------------------------------------------
-function waitForDataLabel(labelName, timeout = 25000) {
-  return new Promise((resolve, reject) => {
-    const existing = document.querySelector(`[data-label="${labelName}"]`);
-    if (existing) return resolve(existing);
+function waitForDataLabel(field, timeout = 25000) {
+  return waitForAny([Profile.labelSelector(field)], timeout);
+}
 
-    const timer = setTimeout(() => {
-      observer.disconnect();
-      reject(new Error(`Timeout waiting for data-label="${labelName}"`));
-    }, timeout);
+// ---------------------------------------------------------------------------
+// Utility: wait until the page stops changing — no DOM mutations for the
+// pacing's quiet window and no loading spinner showing — or until `max` ms
+// have passed. Resolves with how long that took, which the background uses
+// to adapt its pacing.
+// ---------------------------------------------------------------------------
+function pageBusy() {
+  // FedEx keeps <app-loading-spinner> in the page; it only has content while spinning
+  return [...document.querySelectorAll(Profile.selector("loadingSpinner"))].some((el) => el.childElementCount > 0) ||
+    !!document.querySelector(Profile.selector("busy"));
+}
 
-    const observer = new MutationObserver(() => {
-      const el = document.querySelector(`[data-label="${labelName}"]`);
-      if (el) {
-        clearTimeout(timer);
+function waitForSettled(max = Pacing.settle()) {
+  const quiet = Pacing.quiet();
+  return new Promise((resolve) => {
+    const t0 = Date.now();
+    let lastChange = t0;
+    const observer = new MutationObserver(() => { lastChange = Date.now(); });
+    observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+
+    const interval = setInterval(() => {
+      const now = Date.now();
+      const settled = now - lastChange >= quiet && !pageBusy();
+      if (settled || now - t0 >= max) {
+        clearInterval(interval);
         observer.disconnect();
-        resolve(el);
+        resolve({ elapsed: now - t0, timedOut: !settled });
       }
-    });
-
-    observer.observe(document.body, { childList: true, subtree: true });
+    }, 100);
   });
 }
 
-// ---------------------------------------------------------------------------
-// Utility: find a clickable element (button OR anchor) within a container
-// FedEx uses <button class="fdx-c-button--text"> instead of <a> tags
-// ---------------------------------------------------------------------------
-function findClickable(container) {
-  return container.querySelector("button.fdx-c-button--text") ||
-         container.querySelector("button.fdx-c-button") ||
-         container.querySelector("button") ||
-         container.querySelector("a") ||
-         container.querySelector("[role='link']") ||
-         container.querySelector("[role='button']");
-}
-
 // ---------------------------------------------------------------------------
 // Utility: dispatch a proper click event (works with Angular event handlers)
 // ---------------------------------------------------------------------------
@@ -154,18 +262,64 @@ function simulateClick(el) {
 }
 
 // ---------------------------------------------------------------------------
-// Utility: small random delay (anti-bot throttle)
+// Utility: scroll a cdk-virtual-scroll-viewport from the top to the bottom,
+// calling step() after each scroll so the caller can read the rows that
+// are currently rendered. Stops early once done() returns true.
+// ---------------------------------------------------------------------------
+async function scrollThroughViewport(viewport, step, { delay = Pacing.step(), maxSteps = 500, done = () => false } = {}) {
+  viewport.scrollTop = 0;
+  await new Promise((r) => setTimeout(r, delay));
+  step();
+  for (let i = 0; i < maxSteps && !done(); i++) {
+    const before = viewport.scrollTop;
+    viewport.scrollTop += Math.max(100, viewport.clientHeight * 0.8);
+    await new Promise((r) => setTimeout(r, delay));
+    step();
+    if (viewport.scrollTop === before) break; // reached the bottom
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Utility: does a scraped invoice row satisfy a lookup?
 // ---------------------------------------------------------------------------
-function throttle() {
-  const ms = 2000 + Math.random() * 3000;
-  return new Promise((resolve) => setTimeout(resolve, ms));
+function matchesLookup(inv, lookup) {
+  if (lookup.type === "invoice") {
+    const target = normalizeId(lookup.value);
+    return normalizeId(inv.invoiceNumber) === target ||
+           (!!inv.localInvoiceNumber && normalizeId(inv.localInvoiceNumber) === target);
+  }
+  return inv.amount === normalizeAmount(lookup.value);
+}
+
+// ---------------------------------------------------------------------------
+// Utility: "09/30/2025" → "2025-09-30" (the format of <input type="date">)
+// ---------------------------------------------------------------------------
+function toIsoDate(str) {
+  const m = (str || "").match(/(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  return m ? `${m[3]}-${m[1].padStart(2, "0")}-${m[2].padStart(2, "0")}` : "";
 }
 
 // ---------------------------------------------------------------------------
-// Utility: normalize an amount string to just digits and decimal
+// Utility: does a scraped invoice row pass the popup's "narrow matches"
+// filters? Rows without the filtered column never pass.
 // ---------------------------------------------------------------------------
-function normalizeAmount(str) {
-  return str.replace(/[^0-9.]/g, "");
+function matchesFilters(inv, filters) {
+  if (!filters) return true;
+  if (filters.invoiceDate && toIsoDate(inv.invoiceDate) !== filters.invoiceDate) return false;
+  if (filters.dueDate && toIsoDate(inv.dueDate) !== filters.dueDate) return false;
+  if (filters.payerAccount &&
+      normalizeId(inv.payerAccount) !== normalizeId(filters.payerAccount)) return false;
+  return true;
+}
+
+function hasFilters(filters) {
+  return !!filters && Object.values(filters).some(Boolean);
+}
+
+function describeLookup(lookup) {
+  if (lookup.type === "invoice") return `invoice ${lookup.value}`;
+  if (lookup.type === "tracking") return `tracking ID ${lookup.value}`;
+  return `amount $${normalizeAmount(lookup.value)}`;
 }
 
 // ---------------------------------------------------------------------------
@@ -177,17 +331,15 @@ function diagnosePage() {
     title: document.title,
   };
 
-  const tableSelectors = [
-    ".fdx-c-table__tbody.invoice-table-data",
-    ".fdx-c-table__tbody",
-    ".invoice-table-data",
+  // How much of the profile matches this page
+  const tableSelectors = [...new Set([
+    ...Profile.list("invoiceTableReady"),
     "table",
-    "app-invoices",
-    "app-invoice-detail",
-    "app-shipment-table",
-    "app-shipment-detail",
-    "cdk-virtual-scroll-viewport",
-  ];
+    Profile.selector("invoiceDetail"),
+    ...Profile.list("invoiceDetailReady"),
+    ...Profile.list("shipmentSummary"),
+    Profile.selector("invoiceViewport"),
+  ])];
 
   info.selectors = {};
   for (const sel of tableSelectors) {
@@ -223,7 +375,7 @@ function diagnosePage() {
 
   // Count buttons specifically (FedEx uses buttons not links)
   info.totalButtons = document.querySelectorAll("button").length;
-  info.fdxButtons = document.querySelectorAll("button.fdx-c-button--text").length;
+  info.fdxButtons = document.querySelectorAll(Profile.list("clickable")[0]).length;
 
   const appComponents = new Set();
   document.querySelectorAll("*").forEach((el) => {
@@ -243,145 +395,17 @@ function diagnosePage() {
 // Invoice table finding and scraping (multiple strategies)
 // ---------------------------------------------------------------------------
 function findInvoiceTable() {
-  const strategies = [
-    ".fdx-c-table__tbody.invoice-table-data",
-    "tbody.invoice-table-data",
-    ".invoice-table-data",
-    "app-invoices .fdx-c-table__tbody",
-    "app-invoices tbody",
-    "#content .fdx-c-table .fdx-c-table__tbody",
-    "#content table tbody",
-    "cdk-virtual-scroll-viewport .fdx-c-table__tbody",
-    "cdk-virtual-scroll-viewport tbody",
-    ".fdx-c-table__tbody",
-    "table tbody",
-  ];
-
-  for (const sel of strategies) {
-    try {
-      const el = document.querySelector(sel);
-      if (el) {
-        const rows = el.querySelectorAll("tr");
-        if (rows.length > 0) {
-          debugLog(`Found invoice table via "${sel}" with ${rows.length} rows`);
-          return { tableBody: el, selector: sel };
-        }
-      }
-    } catch { /* skip */ }
-  }
-  return null;
-}
-
-function scrapeInvoiceRows(tableBody) {
-  const rows = tableBody.querySelectorAll("tr");
-  const results = [];
-
-  rows.forEach((row) => {
-    const cells = row.querySelectorAll("td");
-    if (cells.length === 0) return;
-
-    // Strategy A: data-label attributes
-    const cellMap = {};
-    cells.forEach((td) => {
-      const label = td.getAttribute("data-label");
-      if (label) cellMap[label] = { text: td.textContent.trim(), el: td };
-    });
-
-    // Prioritize originalAmountStr — currentBalanceStr is $0.00 for closed invoices
-    const originalAmountCell =
-      cellMap["originalAmountStr"] || cellMap["originalAmount"] ||
-      cellMap["ORIGINAL_AMOUNT_DUE"];
-
-    const currentBalanceCell =
-      cellMap["currentBalanceStr"] || cellMap["currentBalance"] ||
-      cellMap["CURRENT_BALANCE"] || cellMap["balance"] || cellMap["amount"];
-
-    const invoiceCell =
-      cellMap["invoiceNumber"] || cellMap["INVOICE_NUMBER"] || cellMap["invoice"];
-
-    if (invoiceCell && (originalAmountCell || currentBalanceCell)) {
-      const link = findClickable(invoiceCell.el) || invoiceCell.el;
-      // Add a result for each non-empty amount so the user can match against
-      // either the original amount or the current balance
-      const amounts = new Set();
-      if (originalAmountCell) amounts.add(normalizeAmount(originalAmountCell.text));
-      if (currentBalanceCell) amounts.add(normalizeAmount(currentBalanceCell.text));
-
-      for (const amt of amounts) {
-        results.push({
-          invoiceNumber: invoiceCell.text,
-          amount: amt,
-          linkEl: link,
-          strategy: "data-label",
-        });
-      }
-      return;
-    }
-
-    // Strategy B: scan cells for dollar amounts and links
-    let foundAmount = "";
-    let foundLink = null;
-    let foundInvoiceNum = "";
-
-    cells.forEach((td) => {
-      const text = td.textContent.trim();
-      const amtMatch = text.match(/^\$?([\d,]+\.\d{2})$/);
-      if (amtMatch && !foundAmount) foundAmount = normalizeAmount(amtMatch[1]);
-      const linkEl = findClickable(td);
-      if (linkEl && !foundLink) {
-        foundLink = linkEl;
-        foundInvoiceNum = linkEl.textContent.trim();
-      }
-    });
-
-    if (foundAmount && foundLink) {
-      results.push({
-        invoiceNumber: foundInvoiceNum,
-        amount: foundAmount,
-        linkEl: foundLink,
-        strategy: "cell-scan",
-      });
-      return;
-    }
-
-    // Strategy C: full text scan of the row
-    const rowText = row.textContent;
-    const allAmounts = rowText.match(/\$[\d,]+\.\d{2}/g);
-    const link = findClickable(row) || row.querySelector("a");
-    if (allAmounts && link) {
-      for (const amt of allAmounts) {
-        results.push({
-          invoiceNumber: link.textContent.trim(),
-          amount: normalizeAmount(amt),
-          linkEl: link,
-          strategy: "text-scan",
-        });
-      }
-    }
-  });
-
-  return results;
+  const found = FedexExtractors.findInvoiceTable(document);
+  if (found) debugLog(`Found invoice table via "${found.selector}" with ${found.rowCount} rows`);
+  return found;
 }
 
 // ---------------------------------------------------------------------------
-// FIND AND CLICK INVOICE + WAIT FOR DETAILS PAGE
-// This now handles the entire flow: find → click → wait for navigation
-// → scrape tracking IDs. Doing it all in one content script call avoids
-// the SPA navigation / re-injection timing problems.
+// Wait for the invoice list (Account Summary page) to render
 // ---------------------------------------------------------------------------
-async function findClickAndScrapeInvoice(targetAmount) {
-  const target = normalizeAmount(targetAmount);
-  debugLog(`Looking for amount: ${target}`);
-
-  // Wait for table content
+async function waitForInvoiceTable() {
   try {
-    await waitForAny([
-      ".fdx-c-table__tbody.invoice-table-data",
-      ".invoice-table-data",
-      "app-invoices table",
-      "#content table tbody",
-      ".fdx-c-table__tbody",
-    ], 25000);
+    await waitForAny(Profile.list("invoiceTableReady"), 25000);
   } catch {
     debugLog("No table element found, trying text wait...");
     try {
@@ -392,7 +416,7 @@ async function findClickAndScrapeInvoice(targetAmount) {
           if (document.body.innerText.includes("$")) {
             clearInterval(iv);
             resolve();
-          } else if (Date.now() - t0 > 15000) {
+          } else if (Date.now() - t0 > Pacing.timeout(15000)) {
             clearInterval(iv);
             reject();
           }
@@ -401,18 +425,160 @@ async function findClickAndScrapeInvoice(targetAmount) {
     } catch { /* continue anyway */ }
   }
 
-  await new Promise((r) => setTimeout(r, 2500));
+  await waitForSettled();
+}
+
+// ---------------------------------------------------------------------------
+// Accounts: the app-account-dd dropdown on the Account Summary page decides
+// whose invoices the table lists. A multi-account run switches it before
+// each search. An account is { number: "276774590", label: "2767-7459-0" }.
+// ---------------------------------------------------------------------------
+async function findAccountSelect(timeout) {
+  try {
+    return await waitForAny(Profile.list("accountSelect"), timeout);
+  } catch {
+    return null;
+  }
+}
+
+async function listAccounts() {
+  const select = await findAccountSelect(10000);
+  if (!select) return { success: false, error: "Account selector not found (open the Account Summary page)" };
+  const accounts = [...select.options].map((o) => ({ number: o.value, label: o.textContent.trim() }));
+  debugLog(`Accounts: [${accounts.map((a) => a.label).join(", ")}]`);
+  return { success: true, accounts, selected: select.value };
+}
+
+async function selectAccount(account) {
+  const select = await findAccountSelect(25000);
+  if (!select) throw new Error("Account selector not found");
+  if (select.value === account.number) return;
+  if (![...select.options].some((o) => o.value === account.number)) {
+    throw new Error(`Account ${account.label} is not in the account list`);
+  }
+
+  debugLog(`Switching to account ${account.label}...`);
+  // Invoices captured so far belong to the previous account
+  captured.invoices.clear();
+  setNativeValue(select, account.number);
+  select.dispatchEvent(new Event("change", { bubbles: true }));
+  await new Promise((r) => setTimeout(r, Pacing.delay(500)));
+  await waitForInvoiceTable();
+}
+
+// ---------------------------------------------------------------------------
+// Invoice list export: every column of every row, filtered by the popup's
+// date range / status
+// ---------------------------------------------------------------------------
+// filters = { fromDate, toDate, status } — dates as "YYYY-MM-DD"
+function invoiceRecordMatches(record, filters) {
+  const date = toIsoDate(record.invoiceDateStr);
+  if (filters.fromDate && (!date || date < filters.fromDate)) return false;
+  if (filters.toDate && (!date || date > filters.toDate)) return false;
+  if (filters.status) {
+    const wanted = filters.status.toLowerCase();
+    const statuses = [record.invoiceStatus, record.paymentStatus]
+      .map((v) => (v || "").toLowerCase());
+    if (!statuses.includes(wanted)) return false;
+  }
+  return true;
+}
+
+async function scrapeInvoiceList(filters = {}, account = null) {
+  await waitForInvoiceTable();
+  if (account) await selectAccount(account);
+
+  const tableResult = findInvoiceTable();
+  if (!tableResult) {
+    return { success: false, error: "Invoice table not found", diagnostics: diagnosePage() };
+  }
+
+  const expected = readTableTotal(Profile.selector("invoiceTableHeader"));
+  const byNumber = new Map();
+  const collect = (records = scrapeInvoiceTableRecords(tableResult.tableBody)) => {
+    for (const record of records) {
+      const key = normalizeId(record.invoiceNumber);
+      if (!byNumber.has(key)) byNumber.set(key, record);
+    }
+  };
+
+  const apiRecords = capturedList(captured.invoices, expected);
+  if (apiRecords) debugLog(`Invoice list from ${apiRecords.length} captured invoice(s)`);
+  collect(apiRecords || undefined);
+  const viewport = document.querySelector(Profile.selector("invoiceViewport"));
+  if (viewport && !apiRecords) {
+    debugLog(`Scrolling invoice list${expected != null ? ` (${expected} invoices)` : ""}...`);
+    await scrollThroughViewport(viewport, collect, {
+      delay: Pacing.delay(800),
+      maxSteps: 1000,
+      done: () => expected != null && byNumber.size >= expected,
+    });
+  }
+
+  const all = [...byNumber.values()];
+  const invoices = all.filter((r) => invoiceRecordMatches(r, filters));
+  debugLog(`Invoice list: ${all.length} collected` +
+    (expected != null ? ` of ${expected}` : "") + `, ${invoices.length} after filters`);
+
+  return { success: true, invoices, collected: all.length, expected };
+}
+
+// ---------------------------------------------------------------------------
+// FIND AND CLICK INVOICE + WAIT FOR DETAILS PAGE
+// This now handles the entire flow: find → click → wait for navigation
+// → scrape tracking IDs. Doing it all in one content script call avoids
+// the SPA navigation / re-injection timing problems.
+// ---------------------------------------------------------------------------
+// Scroll the invoice table until an invoice's row is rendered, and bring it
+// on screen. → the row's scrapeInvoiceRows() record, or null
+async function findInvoiceRow(tableBody, viewport, invoiceNumber) {
+  const key = normalizeId(invoiceNumber);
+  let row = null;
+  const find = () => {
+    row = row || scrapeInvoiceRows(tableBody).find((inv) => normalizeId(inv.invoiceNumber) === key) || null;
+  };
+  if (viewport) await scrollThroughViewport(viewport, find, { delay: Pacing.delay(800), done: () => !!row });
+  else find();
+  if (row) {
+    row.linkEl.scrollIntoView({ block: "center" });
+    await new Promise((r) => setTimeout(r, Pacing.delay(500)));
+  }
+  return row;
+}
+
+async function findClickAndScrapeInvoice(lookup, options = {}) {
+  const target = lookup.type === "invoice" ? lookup.value : normalizeAmount(lookup.value);
+  debugLog(`Looking for ${describeLookup(lookup)}`);
+
+  await waitForInvoiceTable();
+  if (options.account) await selectAccount(options.account);
 
   const diag = diagnosePage();
   debugLog(`URL: ${diag.url}`);
   debugLog(`Data-labels: [${diag.dataLabels.join(", ")}]`);
   debugLog(`TR elements: ${diag.totalTrElements}, Links: ${diag.totalLinks}`);
 
-  // Find invoice table
-  const tableResult = findInvoiceTable();
-  let matchedInvoice = null;
+  // Find invoice table and collect EVERY matching invoice — several invoices
+  // can share an amount, so we never stop at the first hit
+  const filters = options.filters || {};
+  const accept = (inv) => matchesLookup(inv, lookup) && matchesFilters(inv, filters);
+  const matches = new Map(); // normalized invoice number → row
+  const collect = (rows) => {
+    for (const inv of rows) {
+      const key = normalizeId(inv.invoiceNumber);
+      if (accept(inv) && !matches.has(key)) matches.set(key, inv);
+    }
+  };
 
-  if (tableResult) {
+  const tableResult = findInvoiceTable();
+  const viewport = document.querySelector(Profile.selector("invoiceViewport"));
+  const apiRecords = capturedList(captured.invoices, readTableTotal(Profile.selector("invoiceTableHeader")));
+
+  if (apiRecords) {
+    // Every invoice is already known: no need to scroll for duplicates
+    debugLog(`Matching against ${apiRecords.length} captured invoice(s)`);
+    collect(apiRecords.flatMap(invoiceRows));
+  } else if (tableResult) {
     const invoices = scrapeInvoiceRows(tableResult.tableBody);
     // Count unique invoice numbers for logging
     const uniqueInvNums = [...new Set(invoices.map(r => r.invoiceNumber))];
@@ -420,40 +586,62 @@ async function findClickAndScrapeInvoice(targetAmount) {
     for (let i = 0; i < Math.min(10, invoices.length); i++) {
       debugLog(`  Row: inv="${invoices[i].invoiceNumber}" amt="${invoices[i].amount}" [${invoices[i].strategy}]`);
     }
-
-    for (const inv of invoices) {
-      if (inv.amount === target) {
-        matchedInvoice = inv;
-        break;
-      }
+    collect(invoices);
+
+    // Scroll the whole virtual viewport so off-screen duplicates are seen too
+    if (viewport) {
+      debugLog("Scrolling virtual viewport...");
+      await scrollThroughViewport(viewport, () => collect(scrapeInvoiceRows(tableResult.tableBody)), {
+        delay: Pacing.delay(800),
+        // An invoice number identifies one invoice: stop at the first hit
+        done: () => lookup.type === "invoice" && matches.size > 0,
+      });
     }
+  }
 
-    // Try virtual scroll
-    if (!matchedInvoice) {
-      const viewport = document.querySelector("cdk-virtual-scroll-viewport");
-      if (viewport) {
-        debugLog("Scrolling virtual viewport...");
-        for (let i = 0; i < 30; i++) {
-          viewport.scrollTop += viewport.clientHeight;
-          await new Promise((r) => setTimeout(r, 800));
-          const more = scrapeInvoiceRows(tableResult.tableBody);
-          matchedInvoice = more.find((inv) => inv.amount === target);
-          if (matchedInvoice) break;
-        }
-      }
+  // Matches the background has cached and that have not changed since are
+  // not opened (options.cached: invoice number → invoiceStamp())
+  const cached = new Map(Object.entries(options.cached || {})
+    .map(([number, stamp]) => [normalizeId(number), stamp]));
+  const isCached = (inv) => {
+    const stamp = invoiceStamp(inv);
+    return stamp != null && cached.get(normalizeId(inv.invoiceNumber)) === stamp;
+  };
+  const summarize = (inv) => ({ ...invoiceSummary(inv), stamp: invoiceStamp(inv) });
+
+  let matchedInvoice = null;
+  const matchList = [...matches.values()];
+  if (matchList.length > 0) {
+    debugLog(`${matchList.length} invoice(s) match: [${matchList.map((m) => m.invoiceNumber).join(", ")}]`);
+    matchedInvoice = options.invoiceNumber
+      ? matches.get(normalizeId(options.invoiceNumber)) || null
+      : matchList.find((m) => !isCached(m)) || null;
+    if (!matchedInvoice && !options.invoiceNumber) {
+      debugLog("Every matching invoice is unchanged since it was cached");
+      return { success: true, invoiceNumber: null, matches: matchList.map(summarize), trackingIds: [] };
     }
   }
 
-  // Fallback: full-page text search
-  if (!matchedInvoice) {
+  // Virtual scroll recycles rows, and captured invoices have no row yet:
+  // find the chosen row on the page
+  if (matchedInvoice && !matchedInvoice.linkEl?.isConnected && tableResult) {
+    const again = await findInvoiceRow(tableResult.tableBody, viewport, matchedInvoice.invoiceNumber);
+    if (again) matchedInvoice = { ...matchedInvoice, linkEl: again.linkEl };
+  }
+
+  // Fallback: full-page text search (can't check filters, so only without them)
+  if (!matchedInvoice && matchList.length === 0 && !hasFilters(filters)) {
     debugLog("Table search failed, trying full-page text search...");
-    const targetFormatted = "$" + Number(target).toLocaleString("en-US", {
-      minimumFractionDigits: 2, maximumFractionDigits: 2,
-    });
+    const needles = [target];
+    if (lookup.type === "amount") {
+      needles.push("$" + Number(target).toLocaleString("en-US", {
+        minimumFractionDigits: 2, maximumFractionDigits: 2,
+      }));
+    }
 
     const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
       acceptNode: (node) =>
-        (node.textContent.includes(target) || node.textContent.includes(targetFormatted))
+        needles.some((n) => node.textContent.includes(n))
           ? NodeFilter.FILTER_ACCEPT
           : NodeFilter.FILTER_REJECT,
     });
@@ -461,8 +649,7 @@ async function findClickAndScrapeInvoice(targetAmount) {
     while (walker.nextNode()) {
       let el = walker.currentNode.parentElement;
       for (let i = 0; i < 10 && el; i++) {
-        if (el.tagName === "TR" || el.classList.contains("fdx-c-table__tbody__tr") ||
-            el.classList.contains("invoice-grid-item")) {
+        if (el.matches(Profile.selector("invoiceRow"))) {
           const link = findClickable(el) || el.querySelector("a");
           if (link) {
             matchedInvoice = {
@@ -479,10 +666,13 @@ async function findClickAndScrapeInvoice(targetAmount) {
     }
   }
 
-  if (!matchedInvoice) {
+  if (!matchedInvoice || !matchedInvoice.linkEl?.isConnected) {
+    let error = `No invoice found for ${describeLookup(lookup)}`;
+    if (options.invoiceNumber) error = `Invoice #${options.invoiceNumber} no longer found for ${describeLookup(lookup)}`;
+    else if (hasFilters(filters)) error += " with the selected filters";
     return {
       success: false,
-      error: `Amount $${target} not found`,
+      error,
       diagnostics: diag,
       invoiceNumber: null,
       trackingIds: [],
@@ -500,7 +690,7 @@ async function findClickAndScrapeInvoice(targetAmount) {
   // Strategy 1: Wait for URL to change to invoice-details
   let navigatedToDetails = false;
   try {
-    await waitForUrlChange("invoice-detail", 15000);
+    await waitForUrlChange(Profile.current().urls.invoiceDetails, 15000);
     navigatedToDetails = true;
     debugLog(`URL changed to: ${window.location.href}`);
   } catch (e) {
@@ -508,28 +698,24 @@ async function findClickAndScrapeInvoice(targetAmount) {
   }
 
   // Wait for Angular to finish rendering the new view
-  await new Promise((r) => setTimeout(r, 3000));
+  await waitForSettled();
 
   // Strategy 2: Wait for tracking-specific elements regardless of URL
   debugLog("Waiting for tracking ID elements to appear...");
-  let trackingIds = [];
 
   try {
-    // Wait for the data-label="trackingNumber" elements specifically
+    // Wait for the tracking number column specifically
     await waitForDataLabel("trackingNumber", 20000);
-    debugLog("Found data-label='trackingNumber' elements!");
+    debugLog("Found tracking number cells!");
   } catch {
-    debugLog("data-label='trackingNumber' not found, trying alternatives...");
-    // Try waiting for app-shipment-table or any tracking-like links
+    debugLog("Tracking number cells not found, trying alternatives...");
+    // Try waiting for the shipment table or the invoice details component
     try {
-      await waitForAny([
-        "app-shipment-table",
-        "app-invoice-detail",
-      ], 10000);
+      await waitForAny(Profile.list("invoiceDetailReady"), 10000);
     } catch {
       debugLog("No shipment table component found either");
     }
-    await new Promise((r) => setTimeout(r, 2000));
+    await waitForSettled();
   }
 
   // --- NOW SCRAPE TRACKING IDs ---
@@ -539,82 +725,283 @@ async function findClickAndScrapeInvoice(targetAmount) {
   debugLog(`Post-nav tracking-like links: [${postNavDiag.trackingLikeLinks.join(", ")}]`);
   debugLog(`Post-nav app-components: [${postNavDiag.appComponents.join(", ")}]`);
 
-  // Strategy 1: data-label approach (FedEx uses <td data-label="trackingNumber"><button>...</button></td>)
-  document.querySelectorAll('[data-label="trackingNumber"], [data-label="TRACKING_ID"], [data-label="trackingId"]').forEach((td) => {
-    // Get the button or link text inside, not the full td text
-    const btn = td.querySelector("button") || td.querySelector("a");
-    const text = btn ? btn.textContent.trim() : td.textContent.trim();
-    if (text && /\d{10,}/.test(text) && !trackingIds.includes(text)) {
-      trackingIds.push(text);
-    }
-  });
-  debugLog(`Strategy 1 (data-label): ${trackingIds.length} tracking IDs`);
-
-  // Strategy 2: buttons/links with digit-only text in tables
-  if (trackingIds.length === 0) {
-    document.querySelectorAll("button, a").forEach((el) => {
-      const text = el.textContent.trim();
-      if (/^\d{10,22}$/.test(text)) {
-        if (el.closest("table") || el.closest("[class*='table']") ||
-            el.closest("app-shipment-table") || el.closest("app-invoice-detail")) {
-          if (!trackingIds.includes(text)) trackingIds.push(text);
-        }
-      }
-    });
-    debugLog(`Strategy 2 (table-digit): ${trackingIds.length} tracking IDs`);
-  }
-
-  // Strategy 3: ANY buttons/links with pure digit text
-  if (trackingIds.length === 0) {
-    document.querySelectorAll("button, a").forEach((el) => {
-      const text = el.textContent.trim();
-      if (/^\d{10,22}$/.test(text) && !trackingIds.includes(text)) {
-        trackingIds.push(text);
-      }
-    });
-    debugLog(`Strategy 3 (all-digit-clickables): ${trackingIds.length} tracking IDs`);
-  }
-
-  // Strategy 4: look for tracking numbers in the page text
-  if (trackingIds.length === 0) {
-    const pageText = document.body.innerText;
-    // FedEx tracking numbers: 12-15 digits, often starting with 7 or 8
-    const matches = pageText.match(/\b\d{12,15}\b/g);
-    if (matches) {
-      const unique = [...new Set(matches)];
-      debugLog(`Strategy 4 (regex): found ${unique.length} digit sequences: ${unique.join(", ")}`);
-      // Only include if they're actually clickable (button or link)
-      for (const num of unique) {
-        for (const el of document.querySelectorAll("button, a")) {
-          if (el.textContent.trim().includes(num)) {
-            if (!trackingIds.includes(num)) trackingIds.push(num);
-            break;
-          }
-        }
-      }
-    }
-    debugLog(`Strategy 4 (clickable regex): ${trackingIds.length} tracking IDs`);
-  }
+  // The shipment table is virtualized, so walk every page of it before
+  // falling back to page-wide strategies
+  const expectedShipmentCount = readTableTotal(Profile.selector("shipmentTableHeader"));
+  const apiShipments = capturedList(captured.shipments, expectedShipmentCount);
+  if (apiShipments) debugLog(`Shipment table from ${apiShipments.length} captured shipment(s)`);
+  const shipmentRows = apiShipments || await collectShipmentTable(expectedShipmentCount);
+  const { trackingIds, strategy } = scrapeTrackingIds(document, shipmentRows);
+  debugLog(`Tracking IDs via ${strategy}: ${trackingIds.length}` +
+    (expectedShipmentCount != null ? ` (table header says ${expectedShipmentCount})` : ""));
 
   debugLog(`Total tracking IDs: ${trackingIds.length}: [${trackingIds.join(", ")}]`);
 
   return {
     success: true,
     invoiceNumber: matchedInvoice.invoiceNumber,
+    invoice: summarize(matchedInvoice),
+    matches: matchList.length > 0
+      ? matchList.map(summarize)
+      : [summarize(matchedInvoice)],
     trackingIds,
+    shipmentRows,
+    expectedShipmentCount,
     navigatedToDetails,
     diagnostics: postNavDiag,
   };
 }
 
+// ---------------------------------------------------------------------------
+// Invoice documents: FedEx offers them from the Account Summary table by
+// ticking rows and pressing "Download (up to 10)", which starts a browser
+// download. One invoice is ticked at a time so the background worker can
+// tell whose document each download is; it then asks for the file's bytes
+// (FETCH_DOCUMENT), which only this page's origin can read.
+// ---------------------------------------------------------------------------
+async function requestInvoiceDocument(invoiceNumber, account) {
+  await waitForInvoiceTable();
+  if (account) await selectAccount(account);
+
+  const tableResult = findInvoiceTable();
+  if (!tableResult) return { success: false, error: "Invoice table not found" };
+  const viewport = document.querySelector(Profile.selector("invoiceViewport"));
+  const row = await findInvoiceRow(tableResult.tableBody, viewport, invoiceNumber);
+  const rowEl = row && row.linkEl.closest(Profile.selector("invoiceRow"));
+  if (!rowEl) return { success: false, error: `Invoice #${invoiceNumber} not found in the invoice table` };
+  const checkbox = Profile.query(rowEl, "invoiceRowCheckbox");
+  if (!checkbox) return { success: false, error: `Invoice #${invoiceNumber} has no checkbox to select it` };
+
+  // Only this invoice may be selected
+  for (const other of document.querySelectorAll(Profile.selector("invoiceRowCheckbox"))) {
+    if (other !== checkbox && other.checked) simulateClick(other);
+  }
+  if (!checkbox.checked) simulateClick(checkbox);
+  await waitForSettled();
+
+  const button = Profile.query(document, "documentDownloadButton");
+  if (!button) return { success: false, error: "Document download button not found" };
+  const t0 = Date.now();
+  while (button.disabled && Date.now() - t0 < Pacing.timeout(5000)) {
+    await new Promise((r) => setTimeout(r, 200));
+  }
+  if (button.disabled) return { success: false, error: "Document download button stayed disabled" };
+
+  debugLog(`Requesting documents of invoice #${invoiceNumber}`);
+  simulateClick(button);
+  return { success: true, documents: row.documents || "" };
+}
+
+const MAX_DOCUMENT_BYTES = 50 * 1024 * 1024;
+
+// A download's URL (https: or the app's blob:) → { success, base64, mime, size }
+async function fetchDocument(url) {
+  const response = await fetch(url, { credentials: "include" });
+  if (!response.ok) return { success: false, error: `HTTP ${response.status}` };
+  const blob = await response.blob();
+  if (blob.size > MAX_DOCUMENT_BYTES) return { success: false, error: `too large (${blob.size} bytes)` };
+
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return { success: true, base64: btoa(binary), mime: blob.type, size: bytes.length };
+}
+
+// ---------------------------------------------------------------------------
+// Shipment table paging. The table header reads e.g. "1 - 50/312"; rows
+// live in a cdk-virtual-scroll-viewport that only renders what is on
+// screen, and some layouts add a pager instead.
+// ---------------------------------------------------------------------------
+function shipmentViewport() {
+  return Profile.query(document, "shipmentViewport");
+}
+
+// An enabled pager button; `textKey` names its profile text ("nextPage",
+// "previousPage")
+function findPageButton(textKey) {
+  const scope = document.querySelector(Profile.selector("shipmentTable")) || document;
+  const label = Profile.current().text[textKey].toLowerCase();
+  return [...scope.querySelectorAll(Profile.selector("pagination"))].find((el) =>
+    (el.getAttribute("aria-label") || el.textContent).toLowerCase().includes(label) &&
+    !el.disabled && el.getAttribute("aria-disabled") !== "true"
+  ) || null;
+}
+
+function findNextPageButton() {
+  return findPageButton("nextPage");
+}
+
+async function collectShipmentTable(expected) {
+  const byTid = new Map();
+  const collect = () => {
+    for (const row of scrapeShipmentTable()) {
+      const tid = row["Tracking ID number"];
+      if (!byTid.has(tid)) byTid.set(tid, row);
+    }
+  };
+  const complete = () => expected != null && byTid.size >= expected;
+
+  for (let page = 0; page < 100; page++) {
+    collect();
+
+    const viewport = shipmentViewport();
+    if (viewport && !complete()) {
+      await scrollThroughViewport(viewport, collect, { done: complete });
+      viewport.scrollTop = 0;
+    }
+
+    const next = complete() ? null : findNextPageButton();
+    if (!next) break;
+    debugLog(`Shipment table: ${byTid.size} rows so far, opening next page...`);
+    simulateClick(next);
+    await waitForSettled();
+  }
+
+  debugLog(`Shipment table: collected ${byTid.size} row(s)` +
+    (expected != null ? ` of ${expected} expected` : ""));
+  return [...byTid.values()];
+}
+
+// ---------------------------------------------------------------------------
+// QUICK SEARCH: drive the app-quick-search form on the invoices page
+// ("Search for" select → value input → Search button) and wait for FedEx
+// to route to the result. Used for tracking ID lookups, which cannot be
+// matched from the invoice table.
+// ---------------------------------------------------------------------------
+function setNativeValue(el, value) {
+  const proto = el.tagName === "SELECT" ? HTMLSelectElement.prototype : HTMLInputElement.prototype;
+  Object.getOwnPropertyDescriptor(proto, "value").set.call(el, value);
+}
+
+async function quickSearch(searchFor, value, account) {
+  debugLog(`Quick search: ${searchFor} = ${value}`);
+  if (account) await selectAccount(account);
+
+  let select;
+  try {
+    select = await waitForAny(Profile.list("quickSearchSelect"), 25000);
+  } catch {
+    return { success: false, error: "Quick search form not found" };
+  }
+
+  const option = [...select.options].find(
+    (o) => o.textContent.trim().toLowerCase() === searchFor.toLowerCase()
+  );
+  if (!option) {
+    return { success: false, error: `Quick search has no "${searchFor}" option` };
+  }
+  setNativeValue(select, option.value);
+  select.dispatchEvent(new Event("change", { bubbles: true }));
+
+  let input;
+  try {
+    input = await waitForAny(Profile.list("quickSearchInput"), 10000);
+  } catch {
+    return { success: false, error: "Quick search value field did not appear" };
+  }
+  input.focus();
+  setNativeValue(input, value);
+  input.dispatchEvent(new Event("input", { bubbles: true }));
+  input.dispatchEvent(new Event("change", { bubbles: true }));
+  await new Promise((r) => setTimeout(r, Pacing.delay(500)));
+
+  const searchLabel = Profile.current().text.quickSearchButton.toLowerCase();
+  const searchBtn = [...document.querySelectorAll(Profile.selector("quickSearchButton"))]
+    .find((b) => b.textContent.trim().toLowerCase() === searchLabel);
+  if (!searchBtn) return { success: false, error: "Quick search button not found" };
+
+  const startUrl = window.location.href;
+  simulateClick(searchBtn);
+  debugLog("Submitted quick search. Waiting for results...");
+
+  // The search either routes straight to the shipment, or lists matches
+  const t0 = Date.now();
+  const limit = Pacing.timeout(30000);
+  while (Date.now() - t0 < limit) {
+    await new Promise((r) => setTimeout(r, 300));
+    if (window.location.href.includes(Profile.current().urls.shipmentDetails)) {
+      debugLog(`Quick search opened: ${window.location.href}`);
+      return { success: true, page: "shipment", url: window.location.href };
+    }
+    if (window.location.href !== startUrl &&
+        document.querySelector(Profile.labelSelector("trackingNumber"))) {
+      break;
+    }
+  }
+
+  // Result list: open the matching tracking ID
+  await waitForSettled();
+  if (!(await clickTrackingId(value))) {
+    return { success: false, error: `No search result for ${value}`, diagnostics: diagnosePage() };
+  }
+  try {
+    await waitForUrlChange(Profile.current().urls.shipmentDetails, 20000);
+  } catch (e) {
+    return { success: false, error: e.message, diagnostics: diagnosePage() };
+  }
+  return { success: true, page: "shipment", url: window.location.href };
+}
+
 // ---------------------------------------------------------------------------
 // Click a tracking ID link
 // ---------------------------------------------------------------------------
+function findTrackingCell(trackingId) {
+  for (const td of document.querySelectorAll(Profile.labelSelector("trackingNumber"))) {
+    const btn = td.querySelector("button") || td.querySelector("a");
+    const text = btn ? btn.textContent.trim() : td.textContent.trim();
+    if (text === trackingId) return td;
+  }
+  return null;
+}
+
+// Virtualized tables only render visible rows: scroll until it shows up
+async function scrollToTrackingCell(trackingId) {
+  const viewport = shipmentViewport();
+  if (viewport && !findTrackingCell(trackingId)) {
+    await scrollThroughViewport(viewport, () => {}, {
+      delay: Pacing.delay(400),
+      done: () => !!findTrackingCell(trackingId),
+    });
+    const cell = findTrackingCell(trackingId);
+    if (cell) {
+      cell.scrollIntoView({ block: "center" });
+      await new Promise((r) => setTimeout(r, Pacing.delay(300)));
+    }
+  }
+  return !!findTrackingCell(trackingId);
+}
+
+// Paged tables: collectShipmentTable() leaves the pager on its last page,
+// so go back to the first and page forward until the row shows up
+async function pageToTrackingCell(trackingId) {
+  if (await scrollToTrackingCell(trackingId)) return true;
+  if (!findPageButton("previousPage") && !findNextPageButton()) return false;
+
+  for (let page = 0; page < 100; page++) {
+    const previous = findPageButton("previousPage");
+    if (!previous) break;
+    simulateClick(previous);
+    await waitForSettled();
+  }
+  for (let page = 0; page < 100; page++) {
+    if (await scrollToTrackingCell(trackingId)) return true;
+    const next = findNextPageButton();
+    if (!next) break;
+    debugLog(`Tracking ID ${trackingId} not on this page, opening next page...`);
+    simulateClick(next);
+    await waitForSettled();
+  }
+  return false;
+}
+
 async function clickTrackingId(trackingId) {
   debugLog(`Clicking tracking ID: ${trackingId}`);
+  await pageToTrackingCell(trackingId);
 
   // Strategy 1: data-label cells (FedEx uses <td data-label="trackingNumber"><button>...</button></td>)
-  for (const td of document.querySelectorAll('[data-label="trackingNumber"], [data-label="TRACKING_ID"], [data-label="trackingId"]')) {
+  for (const td of document.querySelectorAll(Profile.labelSelector("trackingNumber"))) {
     const btn = td.querySelector("button") || td.querySelector("a");
     const text = btn ? btn.textContent.trim() : td.textContent.trim();
     if (text === trackingId) {
@@ -655,198 +1042,39 @@ async function scrapeShipmentDetails() {
 
   // Wait for shipment detail content
   try {
-    await waitForAny([
-      "app-shipment-summary",
-      "app-shipment-detail",
-      ".invoice-summary",
-      "#SHIPMENT_DETAILS",
-    ], 20000);
+    await waitForAny(Profile.list("shipmentDetailReady"), 20000);
   } catch {
     debugLog("No shipment detail container found via waitForAny");
   }
 
-  await new Promise((r) => setTimeout(r, 2500));
-
-  const data = {};
-  const summaryEl =
-    document.querySelector("app-shipment-summary") ||
-    document.querySelector(".invoice-summary") ||
-    document.querySelector("app-shipment-detail");
-
-  if (summaryEl) {
-    // Eyebrow labels
-    summaryEl.querySelectorAll(
-      ".fdx-c-eyebrow, .fdx-c-eyebrow--small, [class*='eyebrow']"
-    ).forEach((label) => {
-      const key = label.textContent.trim();
-      const parent = label.closest(".fdx-o-grid__item") ||
-                     label.closest("[class*='grid__item']") ||
-                     label.parentElement;
-      if (parent) {
-        const value = parent.textContent.trim().replace(key, "").trim();
-        if (value) data[key] = value;
-      }
-    });
-
-    // Sender / Recipient info
-    const senderSection = extractAddressSection(summaryEl, "Sender information");
-    if (senderSection) {
-      data["Sender Name"] = senderSection.name;
-      data["Sender Company"] = senderSection.company;
-      data["Sender Address"] = senderSection.address;
-      data["Sender City/State/Zip"] = senderSection.cityStateZip;
-      data["Sender Country"] = senderSection.country;
-    }
-    const recipientSection = extractAddressSection(summaryEl, "Recipient information");
-    if (recipientSection) {
-      data["Recipient Name"] = recipientSection.name;
-      data["Recipient Company"] = recipientSection.company;
-      data["Recipient Address"] = recipientSection.address;
-      data["Recipient City/State/Zip"] = recipientSection.cityStateZip;
-      data["Recipient Country"] = recipientSection.country;
-    }
+  // Captured details: the rendered page only fills in what the payload lacks,
+  // so the accordions need not be expanded
+  const trackingId = new URL(window.location.href).searchParams.get("trackingId");
+  const apiDetails = captureEnabled && trackingId
+    ? await waitForCaptured(captured.details, trackingId)
+    : null;
+  if (apiDetails) {
+    const data = { ...readShipmentDetails(document), ...apiDetails };
+    debugLog(`Scraped ${Object.keys(data).length} fields (${Object.keys(apiDetails).length} from the captured payload)`);
+    return data;
   }
 
-  // Fallback: generic label-value scan
-  if (Object.keys(data).length === 0 && summaryEl) {
-    debugLog("Eyebrow approach empty, trying computed style scan...");
-    const allEls = summaryEl.querySelectorAll("*");
-    let lastLabel = "";
-    allEls.forEach((el) => {
-      if (el.children.length === 0) {
-        const text = el.textContent.trim();
-        if (!text) return;
-        const style = window.getComputedStyle(el);
-        const fontSize = parseFloat(style.fontSize);
-        const fontWeight = parseInt(style.fontWeight);
-        if (fontSize <= 12 || fontWeight >= 600 || el.tagName === "H4" || el.tagName === "H5") {
-          lastLabel = text;
-        } else if (lastLabel && text !== lastLabel) {
-          data[lastLabel] = text;
-          lastLabel = "";
-        }
-      }
-    });
-  }
+  await waitForSettled();
 
-  // Expand accordions
-  for (const btn of document.querySelectorAll(".fdx-c-accordion__button, [class*='accordion__button']")) {
+  // Expand accordions so their sections have content to read
+  for (const btn of document.querySelectorAll(Profile.selector("accordionButton"))) {
     if (btn.getAttribute("aria-expanded") === "false") {
       btn.click();
-      await new Promise((r) => setTimeout(r, 800));
-    }
-  }
-  await new Promise((r) => setTimeout(r, 1000));
-
-  // Accordion sections
-  for (const [sectionId, prefix] of [
-    ["SHIPMENT_DETAILS", ""],
-    ["CHARGES", "Charge: "],
-    ["REFERENCE", "Ref: "],
-    ["CUSTOMS", "Customs: "],
-  ]) {
-    const section = document.getElementById(sectionId);
-    if (section) {
-      const pairs = extractLabelValuePairs(section);
-      for (const [key, value] of Object.entries(pairs)) {
-        const fullKey = prefix ? prefix + key : key;
-        if (!data[fullKey]) data[fullKey] = value;
-      }
+      await new Promise((r) => setTimeout(r, Pacing.delay(800)));
     }
   }
+  await waitForSettled();
 
+  const data = readShipmentDetails(document);
   debugLog(`Scraped ${Object.keys(data).length} fields`);
   return data;
 }
 
-// ---------------------------------------------------------------------------
-// Address extraction helper
-// ---------------------------------------------------------------------------
-function extractAddressSection(container, headerText) {
-  let headerEl = null;
-  for (const el of container.querySelectorAll("*")) {
-    if (el.children.length === 0 && el.textContent.trim() === headerText) {
-      headerEl = el;
-      break;
-    }
-  }
-  if (!headerEl) {
-    for (const el of container.querySelectorAll("*")) {
-      if (el.children.length === 0 &&
-          el.textContent.trim().toLowerCase().includes(headerText.toLowerCase())) {
-        headerEl = el;
-        break;
-      }
-    }
-  }
-  if (!headerEl) return null;
-
-  const section =
-    headerEl.closest(".summary-col") ||
-    headerEl.closest("[class*='summary']") ||
-    headerEl.closest(".fdx-o-grid") ||
-    headerEl.parentElement;
-  if (!section) return null;
-
-  const lines = [];
-  let foundHeader = false;
-  for (const p of section.querySelectorAll("p, span[class*='grid__item'], span")) {
-    const text = p.textContent.trim();
-    if (text.includes(headerText)) { foundHeader = true; continue; }
-    if (foundHeader && text &&
-        !text.includes("VIEW SIGNATURE") && !text.includes("Dispute") &&
-        text !== headerText && !lines.includes(text)) {
-      lines.push(text);
-    }
-  }
-  if (lines.length === 0) return null;
-
-  return {
-    name: lines[0] || "",
-    company: lines[1] || lines[0] || "",
-    address: lines.length > 3 ? lines.slice(2, -2).join(", ") : (lines[2] || ""),
-    cityStateZip: lines.length > 2 ? lines[lines.length - 2] : "",
-    country: lines[lines.length - 1] || "",
-  };
-}
-
-// ---------------------------------------------------------------------------
-// Label-value pair extraction helper
-// ---------------------------------------------------------------------------
-function extractLabelValuePairs(container) {
-  const pairs = {};
-
-  container.querySelectorAll(".fdx-c-eyebrow, [class*='eyebrow']").forEach((label) => {
-    const key = label.textContent.trim();
-    const parent = label.closest("[class*='grid__item']") || label.parentElement;
-    if (parent) {
-      const value = parent.textContent.trim().replace(key, "").trim();
-      if (key && value) pairs[key] = value;
-    }
-  });
-
-  container.querySelectorAll("[class*='grid__row']").forEach((row) => {
-    const label = row.querySelector("[class*='font-size--small'], [class*='color--text']");
-    const value = row.querySelector("[class*='fontweight--medium']");
-    if (label && value) {
-      const k = label.textContent.trim();
-      const v = value.textContent.trim();
-      if (k && v) pairs[k] = v;
-    }
-  });
-
-  container.querySelectorAll("tr").forEach((row) => {
-    const cells = row.querySelectorAll("td");
-    if (cells.length >= 2) {
-      const k = cells[0].textContent.trim();
-      const v = cells[cells.length - 1].textContent.trim();
-      if (k && v) pairs[k] = v;
-    }
-  });
-
-  return pairs;
-}
-
 // ---------------------------------------------------------------------------
 // Navigate back
 // ---------------------------------------------------------------------------
@@ -859,16 +1087,53 @@ function navigateBack() {
 // ==========================================================================
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (!msg.action) return false;
+  Pacing.adopt(msg.pace);
+  captureEnabled = !!msg.capture;
 
   (async () => {
     try {
+      await profileReady;
       switch (msg.action) {
         case "FIND_CLICK_AND_SCRAPE": {
-          const result = await findClickAndScrapeInvoice(msg.amount);
+          const result = await findClickAndScrapeInvoice(msg.lookup, {
+            filters: msg.filters,
+            invoiceNumber: msg.invoiceNumber,
+            account: msg.account,
+            cached: msg.cached,
+          });
           sendResponse(result);
           break;
         }
 
+        case "SCRAPE_INVOICE_LIST": {
+          const result = await scrapeInvoiceList(msg.filters, msg.account);
+          sendResponse(result);
+          break;
+        }
+
+        case "QUICK_SEARCH": {
+          const result = await quickSearch(msg.searchFor, msg.value, msg.account);
+          sendResponse(result);
+          break;
+        }
+
+        case "REQUEST_INVOICE_DOCUMENT": {
+          const result = await requestInvoiceDocument(msg.invoiceNumber, msg.account);
+          sendResponse(result);
+          break;
+        }
+
+        case "FETCH_DOCUMENT": {
+          const result = await fetchDocument(msg.url);
+          sendResponse(result);
+          break;
+        }
+
+        case "LIST_ACCOUNTS": {
+          sendResponse(await listAccounts());
+          break;
+        }
+
         case "CLICK_TRACKING_ID": {
           const clicked = await clickTrackingId(msg.trackingId);
           sendResponse({ success: clicked });
@@ -885,26 +1150,33 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           // Wait for URL to contain shipment-details
           debugLog("Waiting for shipment details page...");
           try {
-            await waitForUrlChange("shipment-detail", 20000);
+            await waitForUrlChange(Profile.current().urls.shipmentDetails, 20000);
             debugLog(`Arrived at: ${window.location.href}`);
           } catch (e) {
             debugLog(`Shipment page wait failed: ${e.message}`);
           }
-          await new Promise((r) => setTimeout(r, 2500));
-          sendResponse({ success: true, url: window.location.href });
+          const settled = await waitForSettled();
+          sendResponse({ success: true, url: window.location.href, settled });
           break;
         }
 
         case "WAIT_FOR_INVOICE_DETAILS": {
           debugLog("Waiting for invoice details page...");
           try {
-            await waitForUrlChange("invoice-detail", 20000);
+            await waitForUrlChange(Profile.current().urls.invoiceDetails, 20000);
             debugLog(`Arrived at: ${window.location.href}`);
           } catch (e) {
             debugLog(`Invoice details wait failed: ${e.message}`);
           }
-          await new Promise((r) => setTimeout(r, 2500));
-          sendResponse({ success: true, url: window.location.href });
+          const settled = await waitForSettled();
+          sendResponse({ success: true, url: window.location.href, settled });
+          break;
+        }
+
+        case "WAIT_FOR_READY": {
+          // After a full page load: let Angular bootstrap and render
+          const settled = await waitForSettled();
+          sendResponse({ success: true, url: window.location.href, settled });
           break;
         }
 
@@ -914,13 +1186,29 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           break;
         }
 
+        case "CHECK_PAGE": {
+          await waitForSettled();
+          const report = checkPageStructure(document, window.location.href);
+          debugLog(`Page check (${report.page || "unknown page"}): ` +
+            `${report.errors} error(s), ${report.warnings} warning(s)`);
+          sendResponse({ success: true, url: window.location.href, report });
+          break;
+        }
+
         case "DIAGNOSE": {
           sendResponse({ success: true, diagnostics: diagnosePage() });
           break;
         }
 
         case "PING": {
-          sendResponse({ success: true, url: window.location.href });
+          sendResponse({ success: true, url: window.location.href, captureConnected: !!captureChannel });
+          break;
+        }
+
+        case "CAPTURE_NONCE": {
+          // capture.js offers its channel with this nonce next
+          if (!captureChannel) captureNonce = msg.nonce;
+          sendResponse({ success: true });
           break;
         }
 
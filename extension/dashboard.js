@@ -0,0 +1,291 @@
+"use strict";
+
+// ==========================================================================
+// FedEx Invoice Analyzer — Spend dashboard
+//
+// Charts shipping spend from the shipment history (history-db.js): by
+// month, service, origin and destination state, recipient and charge type.
+// Filters narrow every chart and the shipment list at once; clicking a bar
+// filters to it. Everything is computed in the page from stored data.
+// ==========================================================================
+
+const ShipmentHistory = self.FedexHistory;
+const { parseMoney } = self.FedexExtractors;
+
+const TOP_BARS = 12;     // bars per chart, besides months
+const MAX_SHOWN = 300;   // rows in the shipment list, most expensive first
+const UNKNOWN = "Unknown";
+
+// Where a run may have put the service: a Shipment Details field, a
+// captured API field, or the shipment table's columns
+const SERVICE_KEYS = ["Service type", "Service", "Service description", "Product group", "Shipment type"];
+
+const filterEls = {
+  service: document.getElementById("filter-service"),
+  account: document.getElementById("filter-account"),
+  origin: document.getElementById("filter-origin"),
+  destination: document.getElementById("filter-destination"),
+  recipient: document.getElementById("filter-recipient"),
+};
+const fromInput = document.getElementById("filter-from");
+const toInput = document.getElementById("filter-to");
+const totalsText = document.getElementById("dashboard-totals");
+const charts = {
+  month: document.getElementById("chart-month"),
+  service: document.getElementById("chart-service"),
+  origin: document.getElementById("chart-origin"),
+  destination: document.getElementById("chart-destination"),
+  recipient: document.getElementById("chart-recipient"),
+  charge: document.getElementById("chart-charge"),
+};
+const shipmentsCount = document.getElementById("shipments-count");
+const shipmentsBody = document.getElementById("shipments-body");
+const recordCard = document.getElementById("record-card");
+const recordSource = document.getElementById("record-source");
+const recordFields = document.getElementById("record-fields");
+
+let shipments = []; // every stored shipment, as facts()
+
+// ---------------------------------------------------------------------------
+// Shipment facts
+// ---------------------------------------------------------------------------
+function money(n) {
+  return n.toLocaleString("en-US", { style: "currency", currency: "USD" });
+}
+
+// "Recipient State" when the run split the address, else the state in
+// "EL SEGUNDO CA 90245"
+function partyState(row, party) {
+  if (row[`${party} State`]) return String(row[`${party} State`]).toUpperCase();
+  const m = String(row[`${party} City/State/Zip`] || "").match(/\b([A-Z]{2})\s+\d{5}(?:-\d{4})?\b/i);
+  return m ? m[1].toUpperCase() : UNKNOWN;
+}
+
+function service(row) {
+  const key = SERVICE_KEYS.find((k) => row[k]);
+  return key ? String(row[key]) : UNKNOWN;
+}
+
+// Charge and discount lines, as parsed into the workbook's charge columns
+function charges(row) {
+  const lines = {};
+  for (const [key, value] of Object.entries(row)) {
+    if ((key.startsWith("Charge: ") || key.startsWith("Discount: ")) && typeof value === "number") {
+      lines[key.slice(key.indexOf(": ") + 2)] = value;
+    }
+  }
+  return lines;
+}
+
+function facts(record) {
+  const row = record.row;
+  let amount = parseMoney(row["Total billed"]);
+  if (isNaN(amount) && typeof row["Charges total"] === "number") amount = row["Charges total"];
+  return {
+    record,
+    amount: isNaN(amount) ? null : amount,
+    month: record.shipDate.slice(0, 7),
+    service: service(row),
+    account: record.account || UNKNOWN,
+    origin: partyState(row, "Sender"),
+    destination: partyState(row, "Recipient"),
+    recipient: row["Recipient Company"] || row["Recipient Name"] || UNKNOWN,
+    charges: charges(row),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Filtering
+// ---------------------------------------------------------------------------
+function filtered() {
+  const from = fromInput.value;
+  const to = toInput.value;
+  const picked = Object.entries(filterEls).filter(([, el]) => el.value);
+  return shipments.filter((s) => {
+    const date = s.record.shipDate;
+    if ((from || to) && !date) return false;
+    if ((from && date < from) || (to && date > to)) return false;
+    return picked.every(([name, el]) => s[name] === el.value);
+  });
+}
+
+// Options are every value in the stored data, so a filter never hides the
+// others' choices
+function fillFilterOptions() {
+  for (const [name, el] of Object.entries(filterEls)) {
+    const values = [...new Set(shipments.map((s) => s[name]))].sort();
+    el.innerHTML = "";
+    el.append(new Option("All", ""), ...values.map((v) => new Option(v, v)));
+  }
+}
+
+function lastDayOfMonth(month) {
+  const [y, m] = month.split("-").map(Number);
+  return `${month}-${String(new Date(y, m, 0).getDate()).padStart(2, "0")}`;
+}
+
+// Drill-down: a month bar sets the date range, any other bar its filter
+function drillInto(dimension, value) {
+  if (dimension === "month") {
+    fromInput.value = `${value}-01`;
+    toInput.value = lastDayOfMonth(value);
+  } else if (filterEls[dimension]) {
+    filterEls[dimension].value = value;
+  }
+  render();
+}
+
+// ---------------------------------------------------------------------------
+// Charts: a horizontal bar per group, widths relative to the largest
+// ---------------------------------------------------------------------------
+
+// → [[group, total, count]], largest total first
+function totalsBy(list, key) {
+  const totals = new Map();
+  for (const s of list) {
+    if (s.amount == null) continue;
+    const group = s[key] || UNKNOWN;
+    const [total, count] = totals.get(group) || [0, 0];
+    totals.set(group, [total + s.amount, count + 1]);
+  }
+  return [...totals].map(([group, [total, count]]) => [group, total, count])
+    .sort((a, b) => b[1] - a[1]);
+}
+
+function chargeTotals(list) {
+  const totals = new Map();
+  for (const s of list) {
+    for (const [label, amount] of Object.entries(s.charges)) {
+      const [total, count] = totals.get(label) || [0, 0];
+      totals.set(label, [total + amount, count + 1]);
+    }
+  }
+  return [...totals].map(([label, [total, count]]) => [label, total, count])
+    .sort((a, b) => b[1] - a[1]);
+}
+
+function drawChart(el, bars, dimension) {
+  el.innerHTML = "";
+  if (bars.length === 0) {
+    const empty = document.createElement("p");
+    empty.className = "options-hint";
+    empty.textContent = "No spend to show.";
+    el.appendChild(empty);
+    return;
+  }
+  const largest = Math.max(...bars.map(([, total]) => Math.abs(total))) || 1;
+
+  for (const [group, total, count] of bars) {
+    const row = document.createElement(dimension ? "button" : "div");
+    row.className = "bar-row";
+    row.title = `${group}: ${money(total)} over ${count} shipment${count !== 1 ? "s" : ""}`;
+    if (dimension) row.addEventListener("click", () => drillInto(dimension, group));
+
+    const label = document.createElement("span");
+    label.className = "bar-label";
+    label.textContent = group;
+    const track = document.createElement("span");
+    track.className = "bar-track";
+    const fill = document.createElement("span");
+    fill.className = "bar-fill" + (total < 0 ? " credit" : "");
+    fill.style.width = `${(Math.abs(total) / largest) * 100}%`;
+    track.appendChild(fill);
+    const value = document.createElement("span");
+    value.className = "bar-value";
+    value.textContent = money(total);
+
+    row.append(label, track, value);
+    el.appendChild(row);
+  }
+}
+
+function drawCharts(list) {
+  const months = totalsBy(list, "month").filter(([month]) => month !== UNKNOWN)
+    .sort((a, b) => a[0].localeCompare(b[0]));
+  drawChart(charts.month, months, "month");
+  drawChart(charts.service, totalsBy(list, "service").slice(0, TOP_BARS), "service");
+  drawChart(charts.origin, totalsBy(list, "origin").slice(0, TOP_BARS), "origin");
+  drawChart(charts.destination, totalsBy(list, "destination").slice(0, TOP_BARS), "destination");
+  drawChart(charts.recipient, totalsBy(list, "recipient").slice(0, TOP_BARS), "recipient");
+  drawChart(charts.charge, chargeTotals(list).slice(0, TOP_BARS), null);
+}
+
+// ---------------------------------------------------------------------------
+// Shipment list and record
+// ---------------------------------------------------------------------------
+function showRecord(record, tr) {
+  shipmentsBody.querySelectorAll(".selected").forEach((row) => row.classList.remove("selected"));
+  tr.classList.add("selected");
+
+  recordFields.innerHTML = "";
+  for (const [key, value] of Object.entries(record.row)) {
+    if (value == null || value === "") continue;
+    const dt = document.createElement("dt");
+    dt.textContent = key;
+    const dd = document.createElement("dd");
+    dd.textContent = String(value);
+    recordFields.append(dt, dd);
+  }
+  recordSource.textContent = `Extracted ${new Date(record.savedAt).toLocaleString()} (${record.runId})`;
+  recordCard.classList.remove("hidden");
+}
+
+function drawShipments(list) {
+  shipmentsBody.innerHTML = "";
+  recordCard.classList.add("hidden");
+
+  const sorted = [...list].sort((a, b) => (b.amount ?? -Infinity) - (a.amount ?? -Infinity));
+  for (const s of sorted.slice(0, MAX_SHOWN)) {
+    const tr = document.createElement("tr");
+    const cells = [
+      s.record.trackingId, s.record.shipDate, s.service, s.origin, s.destination, s.recipient,
+      s.amount == null ? "" : money(s.amount),
+    ];
+    for (const text of cells) {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    tr.addEventListener("click", () => showRecord(s.record, tr));
+    shipmentsBody.appendChild(tr);
+  }
+  shipmentsCount.textContent = list.length > MAX_SHOWN
+    ? `The ${MAX_SHOWN} most expensive of ${list.length} shipments. Click one for its full record.`
+    : `${list.length} shipment${list.length !== 1 ? "s" : ""}, most expensive first. Click one for its full record.`;
+}
+
+function render() {
+  const list = filtered();
+  const priced = list.filter((s) => s.amount != null);
+  const spend = priced.reduce((sum, s) => sum + s.amount, 0);
+  const unpriced = list.length - priced.length;
+
+  totalsText.textContent = shipments.length === 0
+    ? "No shipments stored yet: runs add every shipment they extract."
+    : `${list.length} of ${shipments.length} shipments, ${money(spend)} billed` +
+      (priced.length > 0 ? `, ${money(spend / priced.length)} on average` : "") +
+      (unpriced === 1 ? ". 1 shipment without a Total billed is not counted." : "") +
+      (unpriced > 1 ? `. ${unpriced} shipments without a Total billed are not counted.` : "") +
+      (unpriced === 0 ? "." : "");
+  drawCharts(list);
+  drawShipments(list);
+}
+
+[fromInput, toInput, ...Object.values(filterEls)].forEach((el) => el.addEventListener("change", render));
+
+document.getElementById("btn-filters-clear").addEventListener("click", () => {
+  fromInput.value = "";
+  toInput.value = "";
+  Object.values(filterEls).forEach((el) => { el.value = ""; });
+  render();
+});
+
+ShipmentHistory.search({})
+  .then((records) => {
+    shipments = records.map(facts);
+    fillFilterOptions();
+    render();
+  })
+  .catch((err) => {
+    totalsText.textContent = `The shipment history could not be opened: ${err.message}`;
+  });
@@ -0,0 +1,224 @@
+"use strict";
+
+// ==========================================================================
+// FedEx Invoice Scraper — Dispute candidates
+//
+// Rules that flag shipments worth disputing, run over workbook rows (a
+// run's shipments, or rows from the shipment history). Each hit names the
+// FedEx dispute type, the reason in words, and the amount in question.
+// They are candidates: someone still decides what to file. Loads after
+// extractors.js, whose money parser it uses.
+//
+// candidate: { row, rule, type, reason, amount }
+//   amount is a number, or null when the rule cannot price the dispute
+// ==========================================================================
+
+if (!self.FedexDisputes) {
+self.FedexDisputes = (() => {
+
+const { parseMoney } = self.FedexExtractors;
+
+// Billed weight this far above the declared weight is worth a look: a
+// little over is usual rounding up to the next pound
+const WEIGHT_RATIO = 1.25;
+const WEIGHT_MIN_LBS = 1;
+const KG_IN_LBS = 2.20462;
+
+const ADDRESS_CORRECTION = /address correction/i;
+const RESIDENTIAL = /residential/i;
+const RESIDENTIAL_FLAG = /^(recipient )?(residential( delivery| address)?|(recipient )?address type|delivery address type)$/i;
+const TRANSPORTATION = /transportation|base (rate|charge)|freight/i;
+const BILLED_WEIGHT = /^(billed|rated) weight\b/i;
+const DECLARED_WEIGHT = /^((declared|actual|entered|shipper) )?(package |total )?weight\b/i;
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Parsed charge lines ("Charge: Address Correction" → 16.5) whose label
+// matches `re`
+function chargesMatching(row, re) {
+  return Object.entries(row)
+    .filter(([key, value]) => key.startsWith("Charge: ") && typeof value === "number" && value > 0 &&
+      re.test(key.slice("Charge: ".length)))
+    .map(([key, value]) => [key.slice("Charge: ".length), value]);
+}
+
+// "12 lbs" / "5.4 KG" / 12 → pounds; NaN if there is no number
+function weightLbs(value) {
+  const text = String(value ?? "");
+  const n = parseFloat(text.replace(/[^0-9.]/g, ""));
+  return /\bkgs?\b/i.test(text) ? n * KG_IN_LBS : n;
+}
+
+function weightField(row, re) {
+  const key = Object.keys(row).find((k) => re.test(k));
+  return key ? { key, lbs: weightLbs(row[key]) } : null;
+}
+
+function formatLbs(n) {
+  return `${Math.round(n * 10) / 10} lbs`;
+}
+
+// "02/13/2026" → "2026-02-13", for ordering invoices
+function isoDate(str) {
+  const m = String(str || "").match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  return m ? `${m[3]}-${m[1]}-${m[2]}` : "";
+}
+
+// Whether the recipient address is residential, from a flag the run read
+// ("Recipient Residential" from a captured payload, a Shipment Details
+// field like "Address type"): true, false, or null when nothing says
+function residentialFlag(row) {
+  const key = Object.keys(row).find((k) => RESIDENTIAL_FLAG.test(k));
+  const value = key ? String(row[key]).trim() : "";
+  if (/^(yes|true|residential)$/i.test(value)) return { residential: true, key, value };
+  if (/^(no|false|commercial|business)$/i.test(value)) return { residential: false, key, value };
+  return null;
+}
+
+// FedEx repeats the contact name on the company line when there is no
+// company: only a different company name suggests a business
+function recipientBusiness(row) {
+  const squash = (text) => String(text || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+  const company = row["Recipient Company"];
+  return company && squash(company) !== squash(row["Recipient Name"]) ? company : null;
+}
+
+function trackingKey(row) {
+  return String(row["Tracking ID number"] || "").replace(/\s+/g, "");
+}
+
+// ---------------------------------------------------------------------------
+// Rules. check(row, context) → [{ reason, amount }]; context.duplicates maps
+// a row to the earlier invoice billing the same tracking ID
+// ---------------------------------------------------------------------------
+const RULES = [
+  {
+    id: "address-correction",
+    type: "Address correction",
+    check(row) {
+      const confidence = row["Recipient Address confidence"] || "";
+      const note = confidence === "High"
+        ? "the recipient address on file checks out"
+        : confidence ? `the recipient address on file was flagged (${confidence}), check it first` : "";
+      return chargesMatching(row, ADDRESS_CORRECTION).map(([label, amount]) => ({
+        reason: `${label} charged` + (note ? `; ${note}` : ""),
+        amount,
+      }));
+    },
+  },
+  {
+    id: "residential-commercial",
+    type: "Residential surcharge",
+    check(row) {
+      const flag = residentialFlag(row);
+      let why;
+      if (flag) {
+        if (flag.residential) return [];
+        why = `an address marked commercial (${flag.key}: ${flag.value})`;
+      } else {
+        const company = recipientBusiness(row);
+        if (!company) return [];
+        why = `a delivery to a business (${company})`;
+      }
+      return chargesMatching(row, RESIDENTIAL).map(([label, amount]) => ({
+        reason: `${label} charged on ${why}`,
+        amount,
+      }));
+    },
+  },
+  {
+    id: "duplicate-tracking",
+    type: "Duplicate billing",
+    check(row, context) {
+      const first = context.duplicates.get(row);
+      if (!first) return [];
+      const amount = parseMoney(row["Total billed"]);
+      return [{
+        reason: `Tracking ID also billed on invoice #${first["Invoice number"]}` +
+          (first["Invoice date"] ? ` (${first["Invoice date"]})` : ""),
+        amount: Number.isFinite(amount) ? amount : null,
+      }];
+    },
+  },
+  {
+    id: "billed-weight",
+    type: "Incorrect weight",
+    check(row) {
+      const billed = weightField(row, BILLED_WEIGHT);
+      const declared = weightField(row, DECLARED_WEIGHT);
+      if (!billed || !declared || !(billed.lbs > 0) || !(declared.lbs > 0)) return [];
+      if (billed.lbs < declared.lbs * WEIGHT_RATIO || billed.lbs - declared.lbs < WEIGHT_MIN_LBS) return [];
+
+      // The share of the transportation charge the extra weight accounts
+      // for: a rough figure, since rates are not linear in weight
+      const transportation = chargesMatching(row, TRANSPORTATION).reduce((sum, [, amount]) => sum + amount, 0);
+      const amount = transportation > 0 ? round(transportation * (1 - declared.lbs / billed.lbs)) : null;
+      return [{
+        reason: `Billed at ${formatLbs(billed.lbs)} (${billed.key}) against ${formatLbs(declared.lbs)} ` +
+          `(${declared.key})` + (amount != null ? "; amount estimated from the transportation charge" : ""),
+        amount,
+      }];
+    },
+  },
+];
+
+// Rows whose tracking ID an earlier invoice already billed → the first
+// such row. Rows of the same invoice are the same shipment read twice
+// (an invoice and a tracking ID lookup, say), not a duplicate.
+function findDuplicates(rows) {
+  const byTracking = new Map();
+  for (const row of rows) {
+    const key = trackingKey(row);
+    if (!key) continue;
+    if (!byTracking.has(key)) byTracking.set(key, []);
+    byTracking.get(key).push(row);
+  }
+
+  const duplicates = new Map();
+  for (const group of byTracking.values()) {
+    const invoices = new Map();
+    for (const row of group) {
+      const invoice = row["Invoice number"];
+      if (invoice && invoice !== "N/A" && !invoices.has(invoice)) invoices.set(invoice, row);
+    }
+    if (invoices.size < 2) continue;
+    const [first, ...later] = [...invoices.values()]
+      .sort((a, b) => isoDate(a["Invoice date"]).localeCompare(isoDate(b["Invoice date"])));
+    later.forEach((row) => duplicates.set(row, first));
+  }
+  return duplicates;
+}
+
+// Workbook rows → candidates, in row order
+function findCandidates(rows) {
+  const context = { duplicates: findDuplicates(rows) };
+  const candidates = [];
+  for (const row of rows) {
+    for (const rule of RULES) {
+      for (const hit of rule.check(row, context)) {
+        candidates.push({ row, rule: rule.id, type: rule.type, reason: hit.reason, amount: hit.amount });
+      }
+    }
+  }
+  return candidates;
+}
+
+// → { count, shipments, amount } for log lines and page summaries
+function summarize(candidates) {
+  return {
+    count: candidates.length,
+    shipments: new Set(candidates.map((c) => c.row)).size,
+    amount: round(candidates.reduce((sum, c) => sum + (c.amount || 0), 0)),
+  };
+}
+
+return {
+  RULES,
+  findCandidates,
+  summarize,
+};
+
+})();
+} // end of double-injection guard
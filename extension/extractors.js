@@ -0,0 +1,918 @@
+"use strict";
+
+// ==========================================================================
+// FedEx Invoice Scraper — Page extractors
+//
+// Synchronous DOM readers shared by the content script (live FedEx pages)
+// and the offline page (saved .html snapshots parsed with DOMParser).
+// Nothing here waits, scrolls, clicks or messages: every reader takes the
+// document (or element) to read and returns plain data. What to look for
+// comes from the active selector profile (profile.js). The money parsers
+// need no page, and the dashboard uses them too.
+// ==========================================================================
+
+if (!self.FedexExtractors) {
+self.FedexExtractors = (() => {
+
+const Profile = self.FedexProfile;
+
+// ---------------------------------------------------------------------------
+// Utility: find a clickable element (button OR anchor) within a container
+// FedEx uses <button class="fdx-c-button--text"> instead of <a> tags
+// ---------------------------------------------------------------------------
+function findClickable(container) {
+  return Profile.query(container, "clickable");
+}
+
+// ---------------------------------------------------------------------------
+// Utility: normalize an amount string to just digits and decimal
+// ---------------------------------------------------------------------------
+function normalizeAmount(str) {
+  return str.replace(/[^0-9.]/g, "");
+}
+
+// ---------------------------------------------------------------------------
+// Utility: normalize an invoice number / ID for comparison
+// ("5-014-99875" and "501499875" compare equal)
+// ---------------------------------------------------------------------------
+function normalizeId(str) {
+  return (str || "").replace(/[^0-9A-Za-z]/g, "").toUpperCase();
+}
+
+// ---------------------------------------------------------------------------
+// Utility: total row count from a table header such as
+// <app-invoice-table-header> "1 - 164/442" → 442
+// ---------------------------------------------------------------------------
+function readTableTotal(headerSelector, root = document) {
+  const header = root.querySelector(headerSelector);
+  if (!header) return null;
+  const range = header.querySelector(Profile.selector("tableTotalRange"));
+  const m = range && range.textContent.match(/\/\s*([\d,]+)/);
+  if (m) return parseInt(m[1].replace(/,/g, ""), 10);
+  const viewing = [...header.querySelectorAll(Profile.selector("tableTotalLabel"))]
+    .find((l) => /^\d[\d,]*$/.test(l.textContent.trim()));
+  return viewing ? parseInt(viewing.textContent.replace(/,/g, ""), 10) : null;
+}
+
+// Serializable view of a scraped invoice row (drops the DOM reference)
+function invoiceSummary(inv) {
+  return {
+    invoiceNumber: inv.invoiceNumber,
+    localInvoiceNumber: inv.localInvoiceNumber || "",
+    invoiceDate: inv.invoiceDate || "",
+    dueDate: inv.dueDate || "",
+    payerAccount: inv.payerAccount || "",
+    originalAmount: inv.originalAmount || "",
+    currentBalance: inv.currentBalance || "",
+    adjusted: inv.adjusted || "",
+    status: inv.status || "",
+    documents: inv.documents || "",
+  };
+}
+
+// What a re-run compares to tell whether an invoice changed since its
+// shipments were cached: its balance and adjusted amount in the invoice
+// table. null when the row has no balance to compare.
+function invoiceStamp(inv) {
+  if (!inv.currentBalance) return null;
+  return [inv.currentBalance, inv.adjusted].map((v) => normalizeAmount(v || "")).join("|");
+}
+
+// ---------------------------------------------------------------------------
+// Invoice Details page header ("Billing Information" / "Charge Summary"),
+// shaped like invoiceSummary() so it can stand in for an invoice table row
+// ---------------------------------------------------------------------------
+function readInvoiceHeader(root = document) {
+  const container = root.querySelector(Profile.selector("invoiceDetail"));
+  if (!container) return null;
+  const pairs = extractLabelValuePairs(container);
+  const labels = Profile.current().invoiceHeader;
+  const header = {};
+  for (const [field, names] of Object.entries(labels)) {
+    const name = [].concat(names).find((n) => pairs[n]);
+    if (name) header[field] = pairs[name];
+  }
+  if (!header.invoiceNumber) return null;
+  return invoiceSummary(header);
+}
+
+// ---------------------------------------------------------------------------
+// Invoice table finding and scraping (multiple strategies)
+// Returns { tableBody, selector, rowCount } or null.
+// ---------------------------------------------------------------------------
+function findInvoiceTable(root = document) {
+  for (const sel of Profile.list("invoiceTable")) {
+    try {
+      const el = root.querySelector(sel);
+      if (el) {
+        const rows = el.querySelectorAll("tr");
+        if (rows.length > 0) return { tableBody: el, selector: sel, rowCount: rows.length };
+      }
+    } catch { /* skip */ }
+  }
+  return null;
+}
+
+function scrapeInvoiceRows(tableBody) {
+  const rows = tableBody.querySelectorAll("tr");
+  const results = [];
+
+  rows.forEach((row) => {
+    const cells = row.querySelectorAll("td");
+    if (cells.length === 0) return;
+
+    // Strategy A: data-label attributes
+    const cellMap = {};
+    cells.forEach((td) => {
+      const label = td.getAttribute("data-label");
+      if (label) cellMap[label] = { text: td.textContent.trim(), el: td };
+    });
+
+    // The first of a column's data-label aliases present in the row
+    const cellFor = (field) => {
+      const label = Profile.dataLabels(field).find((l) => cellMap[l]);
+      return label ? cellMap[label] : null;
+    };
+    const cellText = (field) => {
+      const cell = cellFor(field);
+      return cell ? cell.text : "";
+    };
+
+    const originalAmountCell = cellFor("originalAmount");
+    const currentBalanceCell = cellFor("currentBalance");
+    const invoiceCell = cellFor("invoiceNumber");
+    const localInvoiceCell = cellFor("localInvoiceNumber");
+
+    if (invoiceCell && (originalAmountCell || currentBalanceCell)) {
+      const link = findClickable(invoiceCell.el) || invoiceCell.el;
+      // Add a result for each non-empty amount so the user can match against
+      // either the original amount or the current balance
+      const amounts = new Set();
+      if (originalAmountCell) amounts.add(normalizeAmount(originalAmountCell.text));
+      if (currentBalanceCell) amounts.add(normalizeAmount(currentBalanceCell.text));
+
+      for (const amt of amounts) {
+        results.push({
+          invoiceNumber: invoiceCell.text,
+          localInvoiceNumber: localInvoiceCell ? localInvoiceCell.text : "",
+          invoiceDate: cellText("invoiceDate"),
+          dueDate: cellText("dueDate"),
+          payerAccount: cellText("payerAccount"),
+          originalAmount: originalAmountCell ? originalAmountCell.text : "",
+          currentBalance: currentBalanceCell ? currentBalanceCell.text : "",
+          adjusted: cellText("adjusted"),
+          status: cellText("status"),
+          documents: cellText("documents"),
+          amount: amt,
+          linkEl: link,
+          strategy: "data-label",
+        });
+      }
+      return;
+    }
+
+    // Strategy B: scan cells for dollar amounts and links
+    let foundAmount = "";
+    let foundLink = null;
+    let foundInvoiceNum = "";
+
+    cells.forEach((td) => {
+      const text = td.textContent.trim();
+      const amtMatch = text.match(/^\$?([\d,]+\.\d{2})$/);
+      if (amtMatch && !foundAmount) foundAmount = normalizeAmount(amtMatch[1]);
+      const linkEl = findClickable(td);
+      if (linkEl && !foundLink) {
+        foundLink = linkEl;
+        foundInvoiceNum = linkEl.textContent.trim();
+      }
+    });
+
+    if (foundAmount && foundLink) {
+      results.push({
+        invoiceNumber: foundInvoiceNum,
+        amount: foundAmount,
+        linkEl: foundLink,
+        strategy: "cell-scan",
+      });
+      return;
+    }
+
+    // Strategy C: full text scan of the row
+    const rowText = row.textContent;
+    const allAmounts = rowText.match(/\$[\d,]+\.\d{2}/g);
+    const link = findClickable(row) || row.querySelector("a");
+    if (allAmounts && link) {
+      for (const amt of allAmounts) {
+        results.push({
+          invoiceNumber: link.textContent.trim(),
+          amount: normalizeAmount(amt),
+          linkEl: link,
+          strategy: "text-scan",
+        });
+      }
+    }
+  });
+
+  return results;
+}
+
+// ---------------------------------------------------------------------------
+// Invoice list export: every column of every row, keyed by data-label
+// ---------------------------------------------------------------------------
+function scrapeInvoiceTableRecords(tableBody) {
+  const skip = Profile.current().skipColumns.invoiceTable;
+  const records = [];
+  tableBody.querySelectorAll("tr").forEach((row) => {
+    const record = {};
+    row.querySelectorAll("td[data-label]").forEach((td) => {
+      const label = td.getAttribute("data-label");
+      if (!skip.includes(label)) record[label] = td.textContent.trim();
+    });
+    if (record.invoiceNumber) records.push(record);
+  });
+  return records;
+}
+
+// ---------------------------------------------------------------------------
+// Shipment table (on the Invoice Details page): read every row's cells
+// directly, keyed like the Shipment Details page where the data overlaps
+// (the profile's shipmentColumns)
+// ---------------------------------------------------------------------------
+// One row's cells ({ data-label: text }) → shipment record
+function shipmentTableRecord(cells) {
+  const { shipmentColumns, skipColumns } = Profile.current();
+  const record = {};
+  for (const [label, text] of Object.entries(cells)) {
+    if (!skipColumns.shipmentTable.includes(label)) record[shipmentColumns[label] || label] = text;
+  }
+  return record;
+}
+
+function scrapeShipmentTable(root = document) {
+  const records = [];
+  const seen = new Set();
+  const trackingCells = Profile.labelSelector("trackingNumber", "td");
+
+  root.querySelectorAll("tr").forEach((tr) => {
+    const trackingCell = tr.querySelector(trackingCells);
+    if (!trackingCell) return;
+
+    const cells = {};
+    tr.querySelectorAll("td[data-label]").forEach((td) => {
+      const btn = td.querySelector("button") || td.querySelector("a");
+      cells[td.getAttribute("data-label")] = (btn ? btn.textContent : td.textContent).trim();
+    });
+    const record = shipmentTableRecord(cells);
+
+    const tid = record["Tracking ID number"];
+    if (!tid || seen.has(tid)) return;
+    seen.add(tid);
+    records.push(record);
+  });
+
+  return records;
+}
+
+// ---------------------------------------------------------------------------
+// Tracking IDs on the Invoice Details page. `shipmentRows` are the rows the
+// caller already collected from the shipment table; the page-wide strategies
+// only run when the table gave nothing.
+// Returns { trackingIds, strategy }.
+// ---------------------------------------------------------------------------
+function scrapeTrackingIds(root = document, shipmentRows = scrapeShipmentTable(root)) {
+  const trackingIds = [];
+  const add = (text) => { if (!trackingIds.includes(text)) trackingIds.push(text); };
+
+  // Strategy 1: data-label approach (FedEx uses <td data-label="trackingNumber"><button>...</button></td>)
+  for (const row of shipmentRows) {
+    const text = row["Tracking ID number"];
+    if (text && /\d{10,}/.test(text)) add(text);
+  }
+  if (trackingIds.length > 0) return { trackingIds, strategy: "data-label" };
+
+  // Strategy 2: buttons/links with digit-only text in tables
+  const scope = Profile.selector("trackingScope");
+  root.querySelectorAll("button, a").forEach((el) => {
+    const text = el.textContent.trim();
+    if (/^\d{10,22}$/.test(text) && el.closest(scope)) add(text);
+  });
+  if (trackingIds.length > 0) return { trackingIds, strategy: "table-digit" };
+
+  // Strategy 3: ANY buttons/links with pure digit text
+  root.querySelectorAll("button, a").forEach((el) => {
+    const text = el.textContent.trim();
+    if (/^\d{10,22}$/.test(text)) add(text);
+  });
+  if (trackingIds.length > 0) return { trackingIds, strategy: "all-digit-clickables" };
+
+  // Strategy 4: look for tracking numbers in the page text
+  // FedEx tracking numbers: 12-15 digits, often starting with 7 or 8
+  const body = root.body || root;
+  const numbers = [...new Set((body.innerText || body.textContent || "").match(/\b\d{12,15}\b/g) || [])];
+  // Only include if they're actually clickable (button or link)
+  const clickables = [...root.querySelectorAll("button, a")];
+  for (const num of numbers) {
+    if (clickables.some((el) => el.textContent.trim().includes(num))) add(num);
+  }
+  return { trackingIds, strategy: "clickable-regex" };
+}
+
+// ---------------------------------------------------------------------------
+// Shipment details (on the Shipment Details page). Reads whatever is in the
+// document — accordion sections only have content once they were expanded.
+// ---------------------------------------------------------------------------
+function readShipmentDetails(root = document) {
+  const { text, sections, chargesSection } = Profile.current();
+  const data = {};
+  const summaryEl = Profile.query(root, "shipmentSummary");
+
+  if (summaryEl) {
+    // Eyebrow labels
+    summaryEl.querySelectorAll(Profile.selector("eyebrow")).forEach((label) => {
+      const key = label.textContent.trim();
+      const parent = Profile.closest(label, "gridItem") || label.parentElement;
+      if (parent) {
+        const value = parent.textContent.trim().replace(key, "").trim();
+        if (value) data[key] = value;
+      }
+    });
+
+    // Sender / Recipient info
+    const senderSection = extractAddressSection(summaryEl, text.senderHeading);
+    if (senderSection) Object.assign(data, addressColumns("Sender", senderSection));
+    const recipientSection = extractAddressSection(summaryEl, text.recipientHeading);
+    if (recipientSection) Object.assign(data, addressColumns("Recipient", recipientSection));
+  }
+
+  // Fallback: generic label-value scan (styles only exist on a rendered page)
+  if (Object.keys(data).length === 0 && summaryEl) {
+    const allEls = summaryEl.querySelectorAll("*");
+    let lastLabel = "";
+    allEls.forEach((el) => {
+      if (el.children.length === 0) {
+        const text = el.textContent.trim();
+        if (!text) return;
+        const style = window.getComputedStyle(el);
+        const fontSize = parseFloat(style.fontSize);
+        const fontWeight = parseInt(style.fontWeight);
+        if (fontSize <= 12 || fontWeight >= 600 || el.tagName === "H4" || el.tagName === "H5") {
+          lastLabel = text;
+        } else if (lastLabel && text !== lastLabel) {
+          data[lastLabel] = text;
+          lastLabel = "";
+        }
+      }
+    });
+  }
+
+  // Accordion sections
+  for (const { id, prefix } of sections) {
+    const section = root.getElementById(id);
+    if (section) {
+      const pairs = extractLabelValuePairs(section);
+      for (const [key, value] of Object.entries(pairs)) {
+        const fullKey = prefix ? prefix + key : key;
+        if (!data[fullKey]) data[fullKey] = value;
+      }
+    }
+  }
+
+  // Charges: numeric columns, checked against the shipment's Total billed
+  const charges = root.getElementById(chargesSection);
+  if (charges) {
+    Object.assign(data, chargeColumns(extractLabelValuePairs(charges), data["Total billed"]));
+  }
+
+  return data;
+}
+
+// ---------------------------------------------------------------------------
+// Charge parsing helpers
+//   "$12.34" → { amount: 12.34, currency: "USD" }
+//   "-$5.00" / "($5.00)" → { amount: -5, ... }; "12.34 CAD" → CAD
+// Returns null when the text holds no number. Only a minus before the
+// digits (or parentheses) makes an amount negative.
+// ---------------------------------------------------------------------------
+function parseMoneyText(text) {
+  const t = (text || "").trim();
+  const digits = t.replace(/[^0-9.]/g, "");
+  if (!/\d/.test(digits)) return null;
+
+  let currency = "";
+  const code = t.match(/\b([A-Z]{3})\b/);
+  if (code) currency = code[1];
+  else if (/C\$|CA\$/.test(t)) currency = "CAD";
+  else if (t.includes("€")) currency = "EUR";
+  else if (t.includes("£")) currency = "GBP";
+  else if (t.includes("$")) currency = "USD";
+
+  const negative = /^\(.*\)$/.test(t) || /^[^\d]*-/.test(t);
+  const amount = Math.round(parseFloat(digits) * 100) / 100;
+  return { amount: negative ? -amount : amount, currency };
+}
+
+// "$1,046.36" → 1046.36, "($5.00)" → -5; numbers as they are; NaN if there
+// is no number
+function parseMoney(value) {
+  if (typeof value === "number") return value;
+  const parsed = parseMoneyText(value == null ? "" : String(value));
+  return parsed ? parsed.amount : NaN;
+}
+
+const DISCOUNT_LABEL = /discount|credit|rebate|waive|refund/i;
+
+// Turn the CHARGES section's label/value pairs into workbook columns:
+//   "Charge: <label>"   → number (surcharges, base charge, ...)
+//   "Discount: <label>" → negative number (discounts and credits)
+//   "Charges total", "Charges currency", "Charges check"
+function chargeColumns(pairs, totalBilledText) {
+  const columns = {};
+  const currencies = new Set();
+  let total = 0;
+  let unparsed = 0;
+
+  for (const [label, value] of Object.entries(pairs)) {
+    if (/^total\b/i.test(label)) continue; // summary lines, not charges
+    const parsed = parseMoneyText(value);
+    if (!parsed) {
+      columns["Charge: " + label] = value;
+      unparsed++;
+      continue;
+    }
+    if (parsed.currency) currencies.add(parsed.currency);
+
+    if (DISCOUNT_LABEL.test(label) || parsed.amount < 0) {
+      const amount = -Math.abs(parsed.amount);
+      columns["Discount: " + label] = amount;
+      total += amount;
+    } else {
+      columns["Charge: " + label] = parsed.amount;
+      total += parsed.amount;
+    }
+  }
+
+  if (Object.keys(columns).length === 0) return columns;
+
+  total = Math.round(total * 100) / 100;
+  columns["Charges total"] = total;
+  columns["Charges currency"] = [...currencies].join(", ");
+
+  const billed = parseMoneyText(totalBilledText);
+  if (unparsed > 0) {
+    columns["Charges check"] = `UNPARSED (${unparsed} charge line${unparsed > 1 ? "s" : ""})`;
+  } else if (!billed) {
+    columns["Charges check"] = "NO TOTAL BILLED";
+  } else if (Math.abs(billed.amount - total) < 0.005) {
+    columns["Charges check"] = "OK";
+  } else {
+    columns["Charges check"] =
+      `MISMATCH (billed ${billed.amount.toFixed(2)}, charges ${total.toFixed(2)})`;
+  }
+  return columns;
+}
+
+// ---------------------------------------------------------------------------
+// Addresses. A party's lines are name, company (when there is one), one or
+// more street lines, "CITY ST 12345" and the country; they are told apart
+// by what they look like, not by position. US and Canadian state/province
+// codes and postal codes are checked; anything that could not be placed or
+// checked is listed in `issues`, and confidence is "low" when there are any.
+// ---------------------------------------------------------------------------
+const US_STATES = new Set([
+  "AL", "AK", "AZ", "AR", "CA", "CO", "CT", "DE", "DC", "FL", "GA", "HI", "ID", "IL", "IN", "IA",
+  "KS", "KY", "LA", "ME", "MD", "MA", "MI", "MN", "MS", "MO", "MT", "NE", "NV", "NH", "NJ", "NM",
+  "NY", "NC", "ND", "OH", "OK", "OR", "PA", "RI", "SC", "SD", "TN", "TX", "UT", "VT", "VA", "WA",
+  "WV", "WI", "WY", "PR", "VI", "GU", "AS", "MP", "AA", "AE", "AP",
+]);
+// Province → the first letters its postal codes may start with
+const CA_PROVINCES = {
+  NL: "A", NS: "B", PE: "C", NB: "E", QC: "GHJ", ON: "KLMNP", MB: "R", SK: "S", AB: "T",
+  BC: "V", NT: "X", NU: "X", YT: "Y",
+};
+const COUNTRY_NAMES = {
+  "UNITED STATES": "US", "UNITED STATES OF AMERICA": "US", USA: "US", CANADA: "CA",
+};
+
+const US_ZIP = /^\d{5}(?:-\d{4})?$/;
+const CA_POSTAL = /^[ABCEGHJ-NPRSTVXY]\d[A-Z] ?\d[A-Z]\d$/;
+const LOCALITY = {
+  US: /^(.+?),?\s+([A-Z]{2}),?\s+(\d{5}(?:-?\d{4})?)$/i,
+  CA: /^(.+?),?\s+([A-Z]{2}),?\s+([A-Z]\d[A-Z] ?\d[A-Z]\d)$/i,
+  // Elsewhere: a city, maybe a region code, and a postal code with a digit
+  other: /^(.+?),?\s+(?:([A-Z]{2,3}),?\s+)?([A-Z0-9]*\d[A-Z0-9]*(?:[ -][A-Z0-9]+)?)$/i,
+};
+// House numbers, PO boxes and unit lines
+const STREET_LINE = /^(?:\d+(?:-\d+)?\s|p\.?\s*o\.?\s*box\b|(?:suite|ste|apt|unit|floor|fl|bldg|building|room|rm|dept)\b|#)/i;
+
+function countryCode(line) {
+  const text = line.trim().toUpperCase();
+  if (/^[A-Z]{2}$/.test(text)) return text;
+  return COUNTRY_NAMES[text] || null;
+}
+
+// "EL SEGUNDO CA 90245" → { city, state, postalCode, country }, or null
+function parseLocality(line, country) {
+  // A malformed US/Canadian line still splits, so the checks can say what is wrong
+  const tries = country === "US" || country === "CA" ? [country, "other"] : country ? ["other"] : ["US", "CA", "other"];
+  for (const kind of tries) {
+    const m = line.match(LOCALITY[kind]);
+    if (!m) continue;
+    return {
+      city: m[1].trim(),
+      state: (m[2] || "").toUpperCase(),
+      postalCode: m[3].toUpperCase(),
+      country: country || (kind === "other" ? "" : kind),
+    };
+  }
+  return null;
+}
+
+// Street, state and postal code checks → [issue]
+function validateAddress(address) {
+  const issues = [];
+  const { street1, city, state, postalCode, country } = address;
+  if (!street1) issues.push("no street line");
+  if (!city) issues.push("no city");
+  if (!country) issues.push("no country");
+
+  if (country === "US") {
+    if (!US_STATES.has(state)) issues.push(state ? `unknown US state "${state}"` : "no state");
+    if (!US_ZIP.test(postalCode)) issues.push(postalCode ? `invalid ZIP code "${postalCode}"` : "no ZIP code");
+  } else if (country === "CA") {
+    const letters = CA_PROVINCES[state];
+    if (!letters) issues.push(state ? `unknown province "${state}"` : "no province");
+    if (!CA_POSTAL.test(postalCode)) {
+      issues.push(postalCode ? `invalid postal code "${postalCode}"` : "no postal code");
+    } else if (letters && !letters.includes(postalCode[0])) {
+      issues.push(`postal code "${postalCode}" is not in ${state}`);
+    }
+  }
+  return issues;
+}
+
+function withConfidence(address, issues) {
+  return { ...address, issues, confidence: issues.length === 0 ? "high" : "low" };
+}
+
+// A party's address lines → { name, company, street1, street2, city, state,
+// postalCode, country, confidence, issues }
+function parseAddressLines(lines) {
+  const rest = lines.map((l) => l.replace(/\s+/g, " ").trim()).filter(Boolean);
+  const issues = [];
+
+  const country = rest.length > 1 ? countryCode(rest[rest.length - 1]) : null;
+  if (country) rest.pop();
+
+  // The last line that reads as city/state/postal code
+  let locality = null;
+  let at = rest.length;
+  for (let i = rest.length - 1; i >= 1 && !locality; i--) {
+    locality = parseLocality(rest[i], country);
+    if (locality) at = i;
+  }
+  if (!locality) {
+    issues.push("city, state and postal code not recognised");
+    at = rest.length > 2 ? rest.length - 1 : rest.length;
+    locality = { city: at < rest.length ? rest[at] : "", state: "", postalCode: "", country: country || "" };
+  }
+  if (at + 1 < rest.length) issues.push(`unexpected line after the city: "${rest.slice(at + 1).join(", ")}"`);
+
+  // The first line names the contact; the street starts at the first line
+  // that looks like one, or else is the line before the city (a guess once
+  // there are more lines than name, company and street)
+  const before = rest.slice(0, at);
+  let street = before.findIndex((l, i) => i > 0 && STREET_LINE.test(l));
+  if (street < 0 && before.length > 1) {
+    street = before.length - 1;
+    if (before.length > 3) issues.push("street line guessed");
+  }
+  const contact = street < 0 ? before : before.slice(0, street);
+  const streets = street < 0 ? [] : before.slice(street);
+  if (contact.length > 2) issues.push("more than two name/company lines");
+
+  const address = {
+    name: contact[0] || "",
+    company: contact.slice(1).join(", "),
+    street1: streets[0] || "",
+    street2: streets.slice(1).join(", "),
+    ...locality,
+  };
+  return withConfidence(address, [...issues, ...validateAddress(address)]);
+}
+
+// Fields already split (captured API data) → the same shape, checked
+function checkAddress(fields) {
+  const address = {
+    name: "", company: "", street1: "", street2: "", city: "", state: "", postalCode: "", country: "",
+    ...fields,
+  };
+  address.state = address.state.toUpperCase();
+  address.postalCode = address.postalCode.toUpperCase();
+  address.country = countryCode(address.country) || address.country;
+  return withConfidence(address, validateAddress(address));
+}
+
+// Workbook columns for a party ("Sender", "Recipient")
+function addressColumns(party, address) {
+  return {
+    [`${party} Name`]: address.name,
+    [`${party} Company`]: address.company,
+    [`${party} Street 1`]: address.street1,
+    [`${party} Street 2`]: address.street2,
+    [`${party} City`]: address.city,
+    [`${party} State`]: address.state,
+    [`${party} Postal code`]: address.postalCode,
+    [`${party} Country`]: address.country,
+    [`${party} Address confidence`]: address.confidence === "high"
+      ? "High"
+      : `Low: ${address.issues.join("; ")}`,
+  };
+}
+
+// The lines after a "Sender information" style heading, up to the next
+// party's heading or the links below the addresses
+function extractAddressSection(container, headerText) {
+  let headerEl = null;
+  for (const el of container.querySelectorAll("*")) {
+    if (el.children.length === 0 && el.textContent.trim() === headerText) {
+      headerEl = el;
+      break;
+    }
+  }
+  if (!headerEl) {
+    for (const el of container.querySelectorAll("*")) {
+      if (el.children.length === 0 &&
+          el.textContent.trim().toLowerCase().includes(headerText.toLowerCase())) {
+        headerEl = el;
+        break;
+      }
+    }
+  }
+  if (!headerEl) return null;
+
+  const section = Profile.closest(headerEl, "addressSection") || headerEl.parentElement;
+  if (!section) return null;
+
+  const { senderHeading, recipientHeading, addressNoise } = Profile.current().text;
+  const headings = [senderHeading, recipientHeading].map((h) => h.toLowerCase());
+  const lines = [];
+  for (const el of section.querySelectorAll(Profile.selector("addressLine"))) {
+    // Only lines after the heading, and only the innermost elements
+    if (!(headerEl.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING)) continue;
+    if (headerEl.contains(el) || el.children.length > 0) continue;
+    const text = el.textContent.replace(/\s+/g, " ").trim();
+    if (!text) continue;
+    if (headings.some((h) => text.toLowerCase().includes(h)) || addressNoise.some((n) => text.includes(n))) break;
+    lines.push(text);
+  }
+  if (lines.length === 0) return null;
+
+  return parseAddressLines(lines);
+}
+
+// ---------------------------------------------------------------------------
+// Label-value pair extraction helper
+// ---------------------------------------------------------------------------
+function extractLabelValuePairs(container) {
+  const pairs = {};
+
+  container.querySelectorAll(Profile.selector("eyebrow")).forEach((label) => {
+    const key = label.textContent.trim();
+    const parent = label.closest(Profile.selector("gridItem")) || label.parentElement;
+    if (parent) {
+      const value = parent.textContent.trim().replace(key, "").trim();
+      if (key && value) pairs[key] = value;
+    }
+  });
+
+  container.querySelectorAll(Profile.selector("gridRow")).forEach((row) => {
+    const label = row.querySelector(Profile.selector("gridRowLabel"));
+    const value = row.querySelector(Profile.selector("gridRowValue"));
+    if (label && value) {
+      const k = label.textContent.trim();
+      const v = value.textContent.trim();
+      if (k && v) pairs[k] = v;
+    }
+  });
+
+  container.querySelectorAll("tr").forEach((row) => {
+    const cells = row.querySelectorAll("td");
+    if (cells.length >= 2) {
+      const k = cells[0].textContent.trim();
+      const v = cells[cells.length - 1].textContent.trim();
+      if (k && v) pairs[k] = v;
+    }
+  });
+
+  return pairs;
+}
+
+// ---------------------------------------------------------------------------
+// Page health check: compare a page with the profile's known-good
+// fingerprint of its page type, before a run relies on it. Returns
+//   { page, findings: [{ level: "ok"|"warn"|"error", text }], errors, warnings }
+// with page null when the page matches no fingerprint at all.
+// ---------------------------------------------------------------------------
+const nameWords = (name) => name.toLowerCase().split(/[^a-z0-9]+/).filter((w) => w && w !== "app" && w !== "cdk");
+const squashLabel = (label) => label.toLowerCase().replace(/[^a-z0-9]/g, "").replace(/str$/, "");
+
+function customElements(root) {
+  const found = new Set();
+  root.querySelectorAll("*").forEach((el) => {
+    if (el.tagName.includes("-")) found.add(el.tagName.toLowerCase());
+  });
+  return found;
+}
+
+// A missing name's likely replacement: the unexpected name sharing most words
+function likelyRename(missing, unexpected) {
+  const words = nameWords(missing);
+  let best = null;
+  let bestShared = 0;
+  for (const name of unexpected) {
+    const shared = nameWords(name).filter((w) => words.includes(w)).length;
+    if (shared > bestShared) {
+      best = name;
+      bestShared = shared;
+    }
+  }
+  return best;
+}
+
+// A route names the last segments of the page's path: "cbs/invoices" is the
+// Account Summary, not ".../cbs/invoices/invoice-details" below it
+function routeMatches(url, route) {
+  let path;
+  try {
+    path = new URL(url).pathname;
+  } catch {
+    path = url.split(/[?#]/)[0];
+  }
+  const segments = path.split("/").filter(Boolean);
+  const wanted = route.split("/").filter(Boolean);
+  return wanted.length > 0 && wanted.length <= segments.length &&
+    wanted.every((seg, i) => segments[segments.length - wanted.length + i] === seg);
+}
+
+// The fingerprint for this page: by route (the most specific that
+// matches), else the best component overlap
+function pageFingerprint(url, components) {
+  const prints = Object.values(Profile.current().fingerprints);
+  const byRoute = url && prints
+    .filter((fp) => fp.route && routeMatches(url, fp.route))
+    .sort((a, b) => b.route.length - a.route.length)[0];
+  if (byRoute) return byRoute;
+  let best = null;
+  let bestShare = 0;
+  for (const fp of prints) {
+    const share = fp.components.filter((c) => components.has(c)).length / fp.components.length;
+    if (share > bestShare) {
+      best = fp;
+      bestShare = share;
+    }
+  }
+  return best;
+}
+
+// The first selector of a selectors entry holding data-label rows
+function fingerprintTable(root, name) {
+  const selectors = Profile.list(name);
+  for (let i = 0; i < selectors.length; i++) {
+    const el = root.querySelector(selectors[i]);
+    const rows = el ? [...el.querySelectorAll("tr")].filter((tr) => tr.querySelector("td[data-label]")) : [];
+    if (rows.length > 0) {
+      const columns = [...rows[0].querySelectorAll("td[data-label]")].map((td) => td.getAttribute("data-label"));
+      return { selector: selectors[i], fallback: i > 0, rowCount: rows.length, columns };
+    }
+  }
+  return null;
+}
+
+function checkColumns(fp, columns, findings) {
+  const { dataLabels } = Profile.current();
+  const missing = fp.columns.filter((l) => !columns.includes(l));
+  const unexpected = columns.filter((l) => !fp.columns.includes(l));
+  const claimed = new Set();
+
+  for (const label of missing) {
+    // Columns the extractors read, and any alias that still finds them
+    const field = Object.keys(dataLabels).find((f) => dataLabels[f].includes(label));
+    const alias = field && dataLabels[field].find((l) => columns.includes(l));
+    if (alias) {
+      claimed.add(alias);
+      findings.push({ level: "ok", text: `Column "${label}" is now "${alias}" (a known alias, still read)` });
+      continue;
+    }
+    // Same name apart from case and a "Str" suffix, else the column now in its place
+    const inPlace = columns[fp.columns.indexOf(label)];
+    const renamed =
+      unexpected.find((l) => !claimed.has(l) && squashLabel(l) === squashLabel(label)) ||
+      (unexpected.includes(inPlace) && !claimed.has(inPlace) ? inPlace : null);
+    if (renamed) claimed.add(renamed);
+    findings.push({
+      level: field ? "error" : "warn",
+      text: `Column "${label}" is missing` + (renamed ? `, probably renamed to "${renamed}"` : "") +
+        (field ? " — the extension reads this column" : ""),
+    });
+  }
+  for (const label of unexpected.filter((l) => !claimed.has(l))) {
+    findings.push({ level: "warn", text: `New column "${label}"` });
+  }
+  if (missing.length === 0 && unexpected.length === 0) {
+    findings.push({ level: "ok", text: `All ${fp.columns.length} columns present` });
+  }
+}
+
+function checkPageStructure(root = document, url = "") {
+  const components = customElements(root);
+  const fp = pageFingerprint(url, components);
+  if (!fp) {
+    return {
+      page: null,
+      findings: [{ level: "error", text: "Not a recognised FedEx billing page (no known components)" }],
+      errors: 1,
+      warnings: 0,
+    };
+  }
+  const findings = [];
+
+  // Components: known ones that disappeared, and what may have replaced them
+  const known = new Set(Object.values(Profile.current().fingerprints).flatMap((p) => p.components));
+  const unexpected = [...components].filter((c) => !known.has(c));
+  const missing = fp.components.filter((c) => !components.has(c));
+  for (const tag of missing) {
+    const renamed = likelyRename(tag, unexpected);
+    findings.push({
+      level: "warn",
+      text: `Component <${tag}> is missing` + (renamed ? `, perhaps renamed to <${renamed}>` : ""),
+    });
+  }
+  if (missing.length === 0) {
+    findings.push({ level: "ok", text: `All ${fp.components.length} components present` });
+  }
+
+  // Table layout
+  if (fp.table) {
+    const table = fingerprintTable(root, fp.table);
+    if (!table) {
+      findings.push({ level: "error", text: `No table rows found with any "${fp.table}" selector` });
+    } else {
+      findings.push({
+        level: table.fallback ? "warn" : "ok",
+        text: `Table found via "${table.selector}" with ${table.rowCount} row(s)` +
+          (table.fallback ? " (a fallback selector; the preferred ones no longer match)" : ""),
+      });
+      if (fp.columns) checkColumns(fp, table.columns, findings);
+    }
+  }
+  if (fp.tableHeader) {
+    const total = readTableTotal(Profile.selector(fp.tableHeader), root);
+    findings.push(total != null
+      ? { level: "ok", text: `Table header reports ${total} row(s) in total` }
+      : { level: "warn", text: "Table header total not readable (completeness checks will be skipped)" });
+  }
+
+  // Sections by element ID
+  for (const id of fp.ids || []) {
+    if (!root.getElementById(id)) findings.push({ level: "warn", text: `Section #${id} is missing` });
+  }
+  if (fp.ids && fp.ids.every((id) => root.getElementById(id))) {
+    findings.push({ level: "ok", text: `All ${fp.ids.length} sections present` });
+  }
+
+  return {
+    page: fp.label,
+    findings,
+    errors: findings.filter((f) => f.level === "error").length,
+    warnings: findings.filter((f) => f.level === "warn").length,
+  };
+}
+
+return {
+  findClickable,
+  normalizeAmount,
+  normalizeId,
+  readTableTotal,
+  invoiceSummary,
+  invoiceStamp,
+  readInvoiceHeader,
+  findInvoiceTable,
+  scrapeInvoiceRows,
+  scrapeInvoiceTableRecords,
+  shipmentTableRecord,
+  scrapeShipmentTable,
+  scrapeTrackingIds,
+  readShipmentDetails,
+  parseMoneyText,
+  parseMoney,
+  chargeColumns,
+  parseAddressLines,
+  checkAddress,
+  addressColumns,
+  extractAddressSection,
+  extractLabelValuePairs,
+  checkPageStructure,
+};
+
+})();
+} // end of double-injection guard
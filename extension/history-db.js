@@ -0,0 +1,207 @@
+"use strict";
+
+// ==========================================================================
+// FedEx Invoice Scraper — Shipment history
+//
+// Every shipment a run extracts is kept in an IndexedDB database in the
+// extension, one record per invoice + tracking ID (a later run's copy
+// replaces the earlier one). The background worker writes entries as the
+// run finishes them; the History page (history.html) searches them and
+// sends the rows it found back for an XLSX export.
+//
+// shipments: { key, trackingId, invoiceNumber, account, invoiceDate,
+//              shipDate, recipient, reference, runId, savedAt, row }
+//   row is the shipment's workbook row (lookup and invoice columns plus
+//   every scraped field); dates are "YYYY-MM-DD" for range searches
+// invoices:  { invoiceNumber, account, invoiceDate, invoiceAmount,
+//              shipmentCount, runId, savedAt }
+// ==========================================================================
+
+if (!self.FedexHistory) {
+self.FedexHistory = (() => {
+
+const DB_NAME = "fedex-history";
+const DB_VERSION = 1;
+const SHIPMENTS = "shipments";
+const INVOICES = "invoices";
+
+let dbPromise = null;
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function done(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("History write aborted"));
+  });
+}
+
+function open() {
+  if (!dbPromise) {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      const shipments = db.createObjectStore(SHIPMENTS, { keyPath: "key" });
+      shipments.createIndex("trackingId", "trackingId");
+      shipments.createIndex("invoiceNumber", "invoiceNumber");
+      db.createObjectStore(INVOICES, { keyPath: "invoiceNumber" });
+    };
+    dbPromise = request(req).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+// ---------------------------------------------------------------------------
+// Record fields
+// ---------------------------------------------------------------------------
+
+// "02/13/2026", "2026-02-13" or "Feb 13, 2026" → "2026-02-13", or ""
+function isoDate(text) {
+  const value = String(text || "").trim();
+  let m = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (m) return `${m[3]}-${m[1].padStart(2, "0")}-${m[2].padStart(2, "0")}`;
+  m = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return m[0];
+  const parsed = value ? new Date(value) : null;
+  if (!parsed || isNaN(parsed)) return "";
+  return [parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate()]
+    .map((n, i) => String(n).padStart(i === 0 ? 4 : 2, "0")).join("-");
+}
+
+// The Shipment Details page and the shipment table name the date differently
+function shipDate(row) {
+  const key = Object.keys(row).find((k) => /^ship(ment)? date$/i.test(k));
+  return key ? isoDate(row[key]) : "";
+}
+
+function recipient(row) {
+  return ["Recipient Name", "Recipient Company"]
+    .map((k) => row[k]).filter(Boolean).join(", ");
+}
+
+// The table's "Reference" column and the details' "Ref: …" fields
+function reference(row) {
+  const values = Object.keys(row)
+    .filter((k) => k === "Reference" || k.startsWith("Ref: "))
+    .map((k) => row[k]).filter(Boolean);
+  return [...new Set(values)].join(", ");
+}
+
+// Case, spaces and dashes don't matter when searching
+function searchText(value) {
+  return String(value || "").toLowerCase().replace(/[\s-]+/g, "");
+}
+
+function shipmentRecord(row, runId, savedAt) {
+  const trackingId = String(row["Tracking ID number"] || "");
+  const invoiceNumber = String(row["Invoice number"] || "N/A");
+  return {
+    key: `${invoiceNumber}|${trackingId}`,
+    trackingId,
+    invoiceNumber,
+    account: row["Billing account"] || row["Account number"] || "",
+    invoiceDate: isoDate(row["Invoice date"]),
+    shipDate: shipDate(row),
+    recipient: recipient(row),
+    reference: reference(row),
+    runId,
+    savedAt,
+    row,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Writing: one run entry (an invoice, or a tracking ID lookup) and the
+// workbook rows of its shipments
+// ---------------------------------------------------------------------------
+async function saveEntry(entry, rows, runId) {
+  const records = rows.filter((row) => row["Tracking ID number"]);
+  if (records.length === 0) return 0;
+
+  const savedAt = new Date().toISOString();
+  const db = await open();
+  const tx = db.transaction([SHIPMENTS, INVOICES], "readwrite");
+  const shipments = tx.objectStore(SHIPMENTS);
+  for (const row of records) shipments.put(shipmentRecord(row, runId, savedAt));
+
+  if (entry.invoiceNumber && entry.invoiceNumber !== "N/A") {
+    tx.objectStore(INVOICES).put({
+      invoiceNumber: entry.invoiceNumber,
+      account: entry.lookup.account?.label || "",
+      invoiceDate: isoDate(entry.invoice?.invoiceDate || records[0]["Invoice date"]),
+      invoiceAmount: entry.invoice?.originalAmount || "",
+      shipmentCount: records.length,
+      runId,
+      savedAt,
+    });
+  }
+  await done(tx);
+  return records.length;
+}
+
+// ---------------------------------------------------------------------------
+// Reading
+// ---------------------------------------------------------------------------
+
+// filters = { trackingId, invoiceNumber, recipient, reference,
+//             dateField: "ship"|"invoice", from, to ("YYYY-MM-DD") }
+// Text filters match anywhere in the field. → shipment records, newest
+// ship date first
+async function search(filters = {}) {
+  const text = ["trackingId", "invoiceNumber", "recipient", "reference"]
+    .map((field) => [field, searchText(filters[field])])
+    .filter(([, value]) => value);
+  const dateField = filters.dateField === "invoice" ? "invoiceDate" : "shipDate";
+  const { from, to } = filters;
+
+  const matches = (record) => {
+    if (!text.every(([field, value]) => searchText(record[field]).includes(value))) return false;
+    const date = record[dateField];
+    if ((from || to) && !date) return false;
+    return (!from || date >= from) && (!to || date <= to);
+  };
+
+  const db = await open();
+  const all = await request(db.transaction(SHIPMENTS).objectStore(SHIPMENTS).getAll());
+  return all.filter(matches).sort((a, b) =>
+    (b.shipDate || b.invoiceDate).localeCompare(a.shipDate || a.invoiceDate) ||
+    a.trackingId.localeCompare(b.trackingId));
+}
+
+// → { shipments, invoices }
+async function stats() {
+  const db = await open();
+  const tx = db.transaction([SHIPMENTS, INVOICES]);
+  const [shipments, invoices] = await Promise.all([
+    request(tx.objectStore(SHIPMENTS).count()),
+    request(tx.objectStore(INVOICES).count()),
+  ]);
+  return { shipments, invoices };
+}
+
+async function clear() {
+  const db = await open();
+  const tx = db.transaction([SHIPMENTS, INVOICES], "readwrite");
+  tx.objectStore(SHIPMENTS).clear();
+  tx.objectStore(INVOICES).clear();
+  await done(tx);
+}
+
+return {
+  saveEntry,
+  search,
+  stats,
+  clear,
+};
+
+})();
+} // end of double-injection guard
@@ -0,0 +1,212 @@
+"use strict";
+
+// ==========================================================================
+// FedEx Invoice Analyzer — History
+//
+// Searches the shipments earlier runs extracted (history-db.js), shows a
+// shipment's full record, and asks the background worker to build an XLSX
+// of whatever the search found, or a dispute worksheet of the dispute
+// candidates among it (disputes.js). Nothing is fetched from FedEx.
+// ==========================================================================
+
+const ShipmentHistory = self.FedexHistory;
+const Disputes = self.FedexDisputes;
+
+// Rows drawn in the results table; the export always takes every match
+const MAX_SHOWN = 500;
+
+const fields = {
+  trackingId: document.getElementById("find-tracking"),
+  invoiceNumber: document.getElementById("find-invoice"),
+  recipient: document.getElementById("find-recipient"),
+  reference: document.getElementById("find-reference"),
+  dateField: document.getElementById("find-date-field"),
+  from: document.getElementById("find-from"),
+  to: document.getElementById("find-to"),
+};
+const btnSearch = document.getElementById("btn-search");
+const btnExport = document.getElementById("btn-export");
+const btnDisputes = document.getElementById("btn-disputes");
+const historyStats = document.getElementById("history-stats");
+const resultsCard = document.getElementById("results-card");
+const resultsCount = document.getElementById("results-count");
+const resultsBody = document.getElementById("results-body");
+const recordCard = document.getElementById("record-card");
+const recordSource = document.getElementById("record-source");
+const recordFields = document.getElementById("record-fields");
+const resultSection = document.getElementById("result-section");
+const resultIcon = document.getElementById("result-icon");
+const resultText = document.getElementById("result-text");
+
+let found = []; // shipment records of the last search
+let disputeCount = 0; // dispute candidates among them
+
+function plural(n, word) {
+  return `${n} ${word}${n !== 1 ? "s" : ""}`;
+}
+
+function showResult(ok, message) {
+  resultSection.classList.remove("hidden");
+  resultIcon.className = "result-icon " + (ok ? "success" : "error");
+  resultIcon.innerHTML = ok ? "&#x2713;" : "&#x2717;";
+  resultText.textContent = message;
+}
+
+async function showStats() {
+  try {
+    const { shipments, invoices } = await ShipmentHistory.stats();
+    historyStats.textContent = shipments > 0
+      ? `${plural(shipments, "shipment")} from ${plural(invoices, "invoice")} stored.`
+      : "Nothing stored yet: shipments are added as runs extract them.";
+  } catch (err) {
+    historyStats.textContent = `The history could not be opened: ${err.message}`;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Shipment record: every field the run scraped, in the order it kept them
+// ---------------------------------------------------------------------------
+function showRecord(record, tr) {
+  resultsBody.querySelectorAll(".selected").forEach((row) => row.classList.remove("selected"));
+  tr.classList.add("selected");
+
+  recordFields.innerHTML = "";
+  for (const [key, value] of Object.entries(record.row)) {
+    if (value == null || value === "") continue;
+    const dt = document.createElement("dt");
+    dt.textContent = key;
+    const dd = document.createElement("dd");
+    dd.textContent = String(value);
+    recordFields.append(dt, dd);
+  }
+  recordSource.textContent = `Extracted ${new Date(record.savedAt).toLocaleString()} (${record.runId})`;
+  recordCard.classList.remove("hidden");
+}
+
+// ---------------------------------------------------------------------------
+// Results
+// ---------------------------------------------------------------------------
+function renderResults() {
+  resultsBody.innerHTML = "";
+  recordCard.classList.add("hidden");
+
+  for (const record of found.slice(0, MAX_SHOWN)) {
+    const tr = document.createElement("tr");
+    const cells = [
+      record.trackingId,
+      record.invoiceNumber,
+      record.shipDate,
+      record.recipient,
+      record.reference,
+      record.row["Total billed"] || "",
+    ];
+    for (const text of cells) {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    tr.addEventListener("click", () => showRecord(record, tr));
+    resultsBody.appendChild(tr);
+  }
+
+  disputeCount = Disputes.findCandidates(found.map((record) => record.row)).length;
+  resultsCount.textContent = (found.length > MAX_SHOWN
+    ? `${plural(found.length, "shipment")} found; showing the first ${MAX_SHOWN}. Export XLSX includes them all.`
+    : `${plural(found.length, "shipment")} found. Click one for its full record.`) +
+    (disputeCount > 0 ? ` ${plural(disputeCount, "dispute candidate")} among them.` : "");
+  resultsCard.classList.remove("hidden");
+  btnExport.disabled = found.length === 0;
+  btnDisputes.disabled = disputeCount === 0;
+}
+
+async function runSearch() {
+  const filters = Object.fromEntries(Object.entries(fields).map(([name, el]) => [name, el.value.trim()]));
+  if (filters.from && filters.to && filters.from > filters.to) {
+    showResult(false, "The date range ends before it starts.");
+    return;
+  }
+  resultSection.classList.add("hidden");
+  btnSearch.disabled = true;
+  try {
+    found = await ShipmentHistory.search(filters);
+    renderResults();
+  } catch (err) {
+    showResult(false, `Search failed: ${err.message}`);
+  } finally {
+    btnSearch.disabled = false;
+  }
+}
+
+btnSearch.addEventListener("click", runSearch);
+
+Object.values(fields).forEach((el) => {
+  el.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") runSearch();
+  });
+});
+
+document.getElementById("btn-reset").addEventListener("click", () => {
+  Object.values(fields).forEach((el) => { el.value = el.tagName === "SELECT" ? el.options[0].value : ""; });
+  found = [];
+  resultsCard.classList.add("hidden");
+  recordCard.classList.add("hidden");
+  resultSection.classList.add("hidden");
+  btnExport.disabled = true;
+  btnDisputes.disabled = true;
+});
+
+// ---------------------------------------------------------------------------
+// Export: the background worker builds the workbook, as for saved pages
+// ---------------------------------------------------------------------------
+btnExport.addEventListener("click", () => {
+  const rows = found.map((record) => record.row);
+  btnExport.disabled = true;
+
+  chrome.runtime.sendMessage({ type: "EXPORT_HISTORY", rows }, (resp) => {
+    btnExport.disabled = found.length === 0;
+    if (chrome.runtime.lastError || !resp || !resp.success) {
+      showResult(false, "Export failed: " +
+        (chrome.runtime.lastError?.message || resp?.error || "no response"));
+      return;
+    }
+    showResult(true, `Exported ${plural(rows.length, "shipment")}. File downloaded.`);
+  });
+});
+
+// Dispute worksheet: the candidates among every match, across invoices, so
+// a tracking ID billed on two invoices is caught whichever runs read them
+btnDisputes.addEventListener("click", () => {
+  const rows = found.map((record) => record.row);
+  btnDisputes.disabled = true;
+
+  chrome.runtime.sendMessage({ type: "EXPORT_DISPUTES", rows }, (resp) => {
+    btnDisputes.disabled = disputeCount === 0;
+    if (chrome.runtime.lastError || !resp || !resp.success) {
+      showResult(false, "Dispute worksheet failed: " +
+        (chrome.runtime.lastError?.message || resp?.error || "no response"));
+      return;
+    }
+    showResult(true, `Exported ${plural(resp.count, "dispute candidate")}. File downloaded.`);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Stored history
+// ---------------------------------------------------------------------------
+document.getElementById("btn-history-clear").addEventListener("click", async () => {
+  if (!confirm("Delete every stored shipment? Runs will add shipments again as they extract them.")) return;
+  try {
+    await ShipmentHistory.clear();
+    found = [];
+    resultsCard.classList.add("hidden");
+    recordCard.classList.add("hidden");
+    btnExport.disabled = true;
+    btnDisputes.disabled = true;
+    showResult(true, "History cleared.");
+  } catch (err) {
+    showResult(false, `Could not clear the history: ${err.message}`);
+  }
+  showStats();
+});
+
+showStats();
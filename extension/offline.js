@@ -0,0 +1,274 @@
+"use strict";
+
+// ==========================================================================
+// FedEx Invoice Analyzer — Saved pages
+//
+// Reads pages saved from FedEx Billing Online ("Save page as…") with the
+// same extractors the content script runs on live pages, then asks the
+// background worker to build the usual workbook. Nothing is fetched and
+// no FedEx login is needed.
+// ==========================================================================
+
+const {
+  normalizeId, readTableTotal, invoiceSummary, readInvoiceHeader,
+  findInvoiceTable, scrapeInvoiceRows, scrapeInvoiceTableRecords,
+  scrapeShipmentTable, scrapeTrackingIds, readShipmentDetails,
+} = window.FedexExtractors;
+
+// Pages are read with the same selector profile as live runs
+const Profile = self.FedexProfile;
+const profileReady = Profile.load().catch(() => Profile.current());
+
+const dropZone = document.getElementById("drop-zone");
+const fileInput = document.getElementById("file-input");
+const pageList = document.getElementById("page-list");
+const btnBuild = document.getElementById("btn-build");
+const btnClear = document.getElementById("btn-clear");
+const resultSection = document.getElementById("result-section");
+const resultIcon = document.getElementById("result-icon");
+const resultText = document.getElementById("result-text");
+
+let pages = []; // parsed pages, in the order they were added
+
+// ---------------------------------------------------------------------------
+// Page parsing. Browsers stamp saved pages with their address in a
+// "<!-- saved from url=(0049)https://… -->" comment, which tells us the
+// page type and carries the invoice number / tracking ID.
+// ---------------------------------------------------------------------------
+function savedFromUrl(html) {
+  const m = html.match(/<!--\s*saved from url=\(\d+\)(\S+)\s*-->/i);
+  try {
+    return m ? new URL(m[1]) : null;
+  } catch {
+    return null;
+  }
+}
+
+function parsePage(fileName, html) {
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  const url = savedFromUrl(html);
+  const path = url ? url.pathname : "";
+  const param = (name) => (url && url.searchParams.get(name)) || "";
+
+  const { urls } = Profile.current();
+
+  if (path.includes(urls.shipmentDetails) || doc.querySelector(Profile.selector("shipmentPage"))) {
+    const data = readShipmentDetails(doc);
+    return {
+      kind: "shipment",
+      fileName,
+      trackingId: param("trackingId") || data["Tracking ID number"] || "",
+      invoiceNumber: data["Invoice number"] || param("invoiceNumber"),
+      data,
+    };
+  }
+
+  if (path.includes(urls.invoiceDetails) || doc.querySelector(Profile.selector("invoiceDetail"))) {
+    const header = readInvoiceHeader(doc);
+    const rows = scrapeShipmentTable(doc);
+    const { trackingIds, strategy } = scrapeTrackingIds(doc, rows);
+    return {
+      kind: "invoice",
+      fileName,
+      invoiceNumber: (header && header.invoiceNumber) || param("invoiceNumber"),
+      header,
+      rows,
+      trackingIds,
+      strategy,
+      expected: readTableTotal(Profile.selector("shipmentTableHeader"), doc),
+    };
+  }
+
+  const table = findInvoiceTable(doc);
+  if (table) {
+    return {
+      kind: "list",
+      fileName,
+      invoices: scrapeInvoiceRows(table.tableBody).map(invoiceSummary),
+      records: scrapeInvoiceTableRecords(table.tableBody),
+      expected: readTableTotal(Profile.selector("invoiceTableHeader"), doc),
+    };
+  }
+
+  return { kind: "unknown", fileName };
+}
+
+function describePage(page) {
+  switch (page.kind) {
+    case "shipment":
+      return `Shipment details — tracking ID ${page.trackingId || "unknown"}` +
+        ` (${Object.keys(page.data).length} fields)`;
+    case "invoice":
+      return `Invoice details — invoice ${page.invoiceNumber || "unknown"}, ` +
+        `${page.trackingIds.length} shipment(s)` +
+        (page.expected != null ? ` of ${page.expected}` : "") + ` via ${page.strategy}`;
+    case "list":
+      return `Account summary — ${page.records.length} invoice row(s)` +
+        (page.expected != null ? ` of ${page.expected} (only rendered rows are saved)` : "");
+    default:
+      return "Not a recognised FedEx billing page";
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Entries — shaped like the background's run entries so generateXlsx()
+// produces the same workbook. Invoice Details pages become invoice entries
+// (shipment table rows, overlaid with any saved Shipment Details page);
+// Shipment Details pages no invoice page claims become tracking ID entries.
+// ---------------------------------------------------------------------------
+function buildEntries() {
+  const invoiceRows = new Map(); // normalized invoice number → invoice summary
+  for (const page of pages.filter((p) => p.kind === "list")) {
+    for (const inv of page.invoices) {
+      const key = normalizeId(inv.invoiceNumber);
+      if (!invoiceRows.has(key)) invoiceRows.set(key, inv);
+    }
+  }
+
+  const shipmentPages = new Map(); // tracking ID → page
+  for (const page of pages.filter((p) => p.kind === "shipment" && p.trackingId)) {
+    if (!shipmentPages.has(page.trackingId)) shipmentPages.set(page.trackingId, page);
+  }
+
+  const entries = [];
+  const claimed = new Set();
+  const seenInvoices = new Set();
+
+  for (const page of pages.filter((p) => p.kind === "invoice")) {
+    const key = normalizeId(page.invoiceNumber);
+    if (seenInvoices.has(key)) continue;
+    seenInvoices.add(key);
+
+    const invoice = invoiceRows.get(key) || page.header || invoiceSummary({ invoiceNumber: page.invoiceNumber });
+    const invoiceFields = {};
+    if (page.invoiceNumber) invoiceFields["Invoice number"] = page.invoiceNumber;
+    if (invoice.invoiceDate) invoiceFields["Invoice date"] = invoice.invoiceDate;
+    if (invoice.dueDate) invoiceFields["Due date"] = invoice.dueDate;
+
+    const rows = page.rows.length > 0
+      ? page.rows
+      : page.trackingIds.map((tid) => ({ "Tracking ID number": tid }));
+    const shipments = rows.map((row) => {
+      const tid = row["Tracking ID number"];
+      const base = { ...invoiceFields, ...row, "Data source": "Shipment table", "Source file": page.fileName };
+      const details = shipmentPages.get(tid);
+      if (!details) return base;
+      claimed.add(tid);
+      return { ...base, ...details.data, "Data source": "Shipment details", "Source file": details.fileName };
+    });
+
+    entries.push({
+      lookup: { type: "invoice", value: page.invoiceNumber, label: `invoice ${page.invoiceNumber}` },
+      invoiceNumber: page.invoiceNumber || "N/A",
+      invoice,
+      expectedShipments: page.expected != null ? page.expected : page.trackingIds.length,
+      shipments,
+    });
+  }
+
+  for (const [tid, page] of shipmentPages) {
+    if (claimed.has(tid)) continue;
+    entries.push({
+      lookup: { type: "tracking", value: tid, label: `tracking ID ${tid}` },
+      invoiceNumber: page.invoiceNumber || "N/A",
+      shipments: [{ "Tracking ID number": tid, ...page.data, "Source file": page.fileName }],
+    });
+  }
+
+  return entries;
+}
+
+// Account Summary pages on their own export as the invoice list workbook
+function buildInvoiceList() {
+  const byNumber = new Map();
+  for (const page of pages.filter((p) => p.kind === "list")) {
+    for (const record of page.records) {
+      const key = normalizeId(record.invoiceNumber);
+      if (!byNumber.has(key)) byNumber.set(key, record);
+    }
+  }
+  return [...byNumber.values()];
+}
+
+// ---------------------------------------------------------------------------
+// UI
+// ---------------------------------------------------------------------------
+function addPageEntry(message, type = "info") {
+  const div = document.createElement("div");
+  div.className = "log-entry " + type;
+  div.textContent = message;
+  pageList.appendChild(div);
+}
+
+function showResult(ok, message) {
+  resultSection.classList.remove("hidden");
+  resultIcon.className = "result-icon " + (ok ? "success" : "error");
+  resultIcon.innerHTML = ok ? "&#x2713;" : "&#x2717;";
+  resultText.textContent = message;
+}
+
+function updateButtons() {
+  const usable = pages.some((p) => p.kind !== "unknown");
+  btnBuild.disabled = !usable;
+  btnClear.disabled = pages.length === 0;
+}
+
+async function addFiles(files) {
+  await profileReady;
+  for (const file of files) {
+    try {
+      const page = parsePage(file.name, await file.text());
+      pages.push(page);
+      addPageEntry(`${file.name}: ${describePage(page)}`, page.kind === "unknown" ? "error" : "success");
+    } catch (err) {
+      addPageEntry(`${file.name}: could not be read (${err.message})`, "error");
+    }
+  }
+  updateButtons();
+}
+
+dropZone.addEventListener("dragover", (e) => {
+  e.preventDefault();
+  dropZone.classList.add("drop-zone-active");
+});
+
+dropZone.addEventListener("dragleave", () => {
+  dropZone.classList.remove("drop-zone-active");
+});
+
+dropZone.addEventListener("drop", (e) => {
+  e.preventDefault();
+  dropZone.classList.remove("drop-zone-active");
+  addFiles([...e.dataTransfer.files]);
+});
+
+fileInput.addEventListener("change", () => {
+  addFiles([...fileInput.files]);
+  fileInput.value = "";
+});
+
+btnClear.addEventListener("click", () => {
+  pages = [];
+  pageList.innerHTML = "";
+  resultSection.classList.add("hidden");
+  updateButtons();
+});
+
+btnBuild.addEventListener("click", () => {
+  const entries = buildEntries();
+  const invoices = entries.length === 0 ? buildInvoiceList() : [];
+  btnBuild.disabled = true;
+
+  chrome.runtime.sendMessage({ type: "EXPORT_SAVED_PAGES", entries, invoices }, (resp) => {
+    updateButtons();
+    if (chrome.runtime.lastError || !resp || !resp.success) {
+      showResult(false, "Export failed: " +
+        (chrome.runtime.lastError?.message || resp?.error || "no response"));
+      return;
+    }
+    const sc = entries.reduce((n, e) => n + e.shipments.length, 0);
+    showResult(true, entries.length > 0
+      ? `Built ${entries.length} sheet${entries.length !== 1 ? "s" : ""} with ${sc} shipment${sc !== 1 ? "s" : ""}. File downloaded.`
+      : `Exported ${invoices.length} invoice${invoices.length !== 1 ? "s" : ""}. File downloaded.`);
+  });
+});
@@ -0,0 +1,278 @@
+"use strict";
+
+// ==========================================================================
+// FedEx Invoice Analyzer — Settings
+//
+// Picks the pacing profile (pacing.js) and the data source the next run
+// starts with, manages the extraction cache and the selector profile
+// (profile.js), and sets up scheduled pulls. Choices are saved as soon as they change; a run already
+// in progress keeps the settings it started with.
+// ==========================================================================
+
+const Pacing = self.FedexPacing;
+const Profile = self.FedexProfile;
+
+// Read by background.js at the start of each run
+const CAPTURE_SETTINGS_KEY = "captureSettings";
+
+const profileList = document.getElementById("profile-list");
+const saveStatus = document.getElementById("save-status");
+const captureInput = document.getElementById("opt-capture");
+const captureStatus = document.getElementById("capture-status");
+const profileActive = document.getElementById("profile-active");
+const profileStatus = document.getElementById("profile-status");
+const profileFile = document.getElementById("profile-file");
+
+function seconds(ms) {
+  return `${(ms / 1000).toFixed(1).replace(/\.0$/, "")}s`;
+}
+
+function describeProfile(p) {
+  return `${seconds(p.throttle[0])}–${seconds(p.throttle[1])} between actions, ` +
+    `pages settle within ${seconds(p.settle)}` +
+    (p.timeoutScale !== 1 ? `, ${p.timeoutScale}× timeouts` : "");
+}
+
+function renderProfiles(selected) {
+  profileList.innerHTML = "";
+  for (const [name, p] of Object.entries(Pacing.PROFILES)) {
+    const label = document.createElement("label");
+    label.className = "profile-option";
+
+    const input = document.createElement("input");
+    input.type = "radio";
+    input.name = "profile";
+    input.value = name;
+    input.checked = name === selected;
+
+    const text = document.createElement("span");
+    const title = document.createElement("strong");
+    title.textContent = p.label;
+    const desc = document.createElement("span");
+    desc.className = "profile-desc";
+    desc.textContent = p.description;
+    const timing = document.createElement("span");
+    timing.className = "profile-desc";
+    timing.textContent = describeProfile(p);
+    text.append(title, desc, timing);
+
+    label.append(input, text);
+    profileList.appendChild(label);
+  }
+}
+
+profileList.addEventListener("change", async (e) => {
+  const profile = e.target.value;
+  try {
+    await Pacing.saveSettings({ profile });
+    saveStatus.textContent = `Saved. The next run uses the ${Pacing.PROFILES[profile].label} profile.`;
+  } catch (err) {
+    saveStatus.textContent = `Could not save: ${err.message}`;
+  }
+});
+
+Pacing.loadSettings()
+  .then((settings) => renderProfiles(settings.profile))
+  .catch(() => renderProfiles(Pacing.DEFAULT_PROFILE));
+
+captureInput.addEventListener("change", async () => {
+  const enabled = captureInput.checked;
+  try {
+    await chrome.storage.local.set({ [CAPTURE_SETTINGS_KEY]: { enabled } });
+    captureStatus.textContent = enabled
+      ? "Saved. The next run reads API responses first."
+      : "Saved. The next run reads the pages only.";
+  } catch (err) {
+    captureStatus.textContent = `Could not save: ${err.message}`;
+  }
+});
+
+chrome.storage.local.get(CAPTURE_SETTINGS_KEY)
+  .then((stored) => { captureInput.checked = !!stored[CAPTURE_SETTINGS_KEY]?.enabled; })
+  .catch(() => {});
+
+// ---------------------------------------------------------------------------
+// Extraction cache (written by background.js during runs)
+// ---------------------------------------------------------------------------
+const CACHE_KEY = "extractCache";
+const cacheStats = document.getElementById("cache-stats");
+
+function showCacheStats(index) {
+  const invoices = Object.keys(index?.invoices || {}).length;
+  const shipments = Object.keys(index?.shipments || {}).length;
+  cacheStats.textContent = shipments > 0
+    ? `${invoices} invoice(s) and ${shipments} shipment(s) cached.`
+    : "The cache is empty.";
+}
+
+document.getElementById("btn-cache-clear").addEventListener("click", () => {
+  chrome.runtime.sendMessage({ type: "CLEAR_CACHE" }, (resp) => {
+    if (chrome.runtime.lastError || !resp || !resp.success) {
+      cacheStats.textContent = "Could not clear: " +
+        (resp?.error || chrome.runtime.lastError?.message || "no response");
+      return;
+    }
+    showCacheStats(null);
+  });
+});
+
+chrome.storage.local.get(CACHE_KEY)
+  .then((stored) => showCacheStats(stored[CACHE_KEY]))
+  .catch(() => {});
+
+// ---------------------------------------------------------------------------
+// Selector profile
+// ---------------------------------------------------------------------------
+function showProfile(profile) {
+  profileActive.textContent = `In use: ${Profile.describe(profile)}`;
+}
+
+function showProfileStatus(text, isError = false) {
+  profileStatus.textContent = text;
+  profileStatus.classList.toggle("error", isError);
+}
+
+document.getElementById("btn-profile-import").addEventListener("click", () => profileFile.click());
+
+profileFile.addEventListener("change", async () => {
+  const file = profileFile.files[0];
+  profileFile.value = "";
+  if (!file) return;
+  try {
+    const { profile, errors } = await Profile.importProfile(await file.text());
+    if (errors) {
+      showProfileStatus(`${file.name} was not imported:\n${errors.join("\n")}`, true);
+      return;
+    }
+    showProfile(profile);
+    showProfileStatus(`Imported. The next page read uses ${profile.name} ${profile.version}.`);
+  } catch (err) {
+    showProfileStatus(`Could not import: ${err.message}`, true);
+  }
+});
+
+document.getElementById("btn-profile-export").addEventListener("click", () => {
+  const profile = Profile.current();
+  const url = URL.createObjectURL(new Blob([Profile.exportJson(profile)], { type: "application/json" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `FedEx_Selector_Profile_${profile.version}.json`;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+});
+
+document.getElementById("btn-profile-reset").addEventListener("click", async () => {
+  try {
+    showProfile(await Profile.resetProfile());
+    showProfileStatus("Using the built-in profile.");
+  } catch (err) {
+    showProfileStatus(`Could not reset: ${err.message}`, true);
+  }
+});
+
+Profile.load()
+  .then(showProfile)
+  .catch(() => showProfile(Profile.current()));
+
+// ---------------------------------------------------------------------------
+// Scheduled pulls: background.js keeps the alarm in step with the saved
+// schedule and records how the last pull went
+// ---------------------------------------------------------------------------
+const SCHEDULE_SETTINGS_KEY = "scheduleSettings";
+const SCHEDULE_STATE_KEY = "scheduleState";
+const SCHEDULE_ALARM = "scheduled-pull";
+const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const scheduleInput = document.getElementById("opt-schedule");
+const scheduleDays = document.getElementById("schedule-days");
+const scheduleTime = document.getElementById("schedule-time");
+const scheduleAccounts = document.getElementById("schedule-accounts");
+const scheduleMode = document.getElementById("schedule-mode");
+const scheduleFormat = document.getElementById("schedule-format");
+const scheduleStatus = document.getElementById("schedule-status");
+const scheduleLast = document.getElementById("schedule-last");
+
+// Monday first, as a work week reads
+for (const day of [1, 2, 3, 4, 5, 6, 0]) {
+  const label = document.createElement("label");
+  label.className = "check-label";
+  const box = document.createElement("input");
+  box.type = "checkbox";
+  box.value = String(day);
+  label.append(box, " " + DAY_NAMES[day]);
+  scheduleDays.appendChild(label);
+}
+
+function readSchedule() {
+  return {
+    enabled: scheduleInput.checked,
+    days: [...scheduleDays.querySelectorAll("input:checked")].map((box) => Number(box.value)),
+    time: scheduleTime.value || "07:00",
+    accounts: scheduleAccounts.value,
+    mode: scheduleMode.value,
+    format: scheduleFormat.value,
+  };
+}
+
+function showSchedule(schedule) {
+  scheduleInput.checked = !!schedule.enabled;
+  for (const box of scheduleDays.querySelectorAll("input")) {
+    box.checked = (schedule.days || [1]).includes(Number(box.value));
+  }
+  scheduleTime.value = schedule.time || "07:00";
+  scheduleAccounts.value = schedule.accounts || "current";
+  scheduleMode.value = schedule.mode || "full";
+  scheduleFormat.value = schedule.format || "xlsx";
+}
+
+function showNextPull(nextAt) {
+  if (!scheduleInput.checked) {
+    scheduleStatus.textContent = "No pulls scheduled.";
+  } else if (!nextAt) {
+    scheduleStatus.textContent = "Pick at least one day.";
+  } else {
+    scheduleStatus.textContent = `Next pull: ${new Date(nextAt).toLocaleString()}`;
+  }
+}
+
+function showLastPull(state) {
+  const last = state?.lastRun;
+  if (!last) {
+    scheduleLast.textContent = "";
+    return;
+  }
+  scheduleLast.textContent = `Last pull: ${new Date(last.at).toLocaleString()} — ${last.outcome}` +
+    (last.error ? `: ${last.error}` : "");
+}
+
+document.getElementById("schedule-card").addEventListener("change", () => {
+  chrome.runtime.sendMessage({ type: "SAVE_SCHEDULE", schedule: readSchedule() }, (resp) => {
+    if (chrome.runtime.lastError || !resp || !resp.success) {
+      scheduleStatus.textContent = "Could not save: " +
+        (resp?.error || chrome.runtime.lastError?.message || "no response");
+      return;
+    }
+    showNextPull(resp.nextAt);
+  });
+});
+
+document.getElementById("btn-schedule-run").addEventListener("click", () => {
+  chrome.runtime.sendMessage({ type: "RUN_SCHEDULED_PULL" }, (resp) => {
+    scheduleStatus.textContent = resp?.ack
+      ? "Pulling now in a separate window. A notification reports the result."
+      : `Could not start: ${resp?.error || chrome.runtime.lastError?.message || "no response"}`;
+  });
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes[SCHEDULE_STATE_KEY]) showLastPull(changes[SCHEDULE_STATE_KEY].newValue);
+});
+
+chrome.storage.local.get([SCHEDULE_SETTINGS_KEY, SCHEDULE_STATE_KEY])
+  .then(async (stored) => {
+    showSchedule(stored[SCHEDULE_SETTINGS_KEY] || {});
+    showLastPull(stored[SCHEDULE_STATE_KEY]);
+    const alarm = await chrome.alarms.get(SCHEDULE_ALARM);
+    showNextPull(alarm?.scheduledTime);
+  })
+  .catch(() => {});
@@ -0,0 +1,177 @@
+"use strict";
+
+// ==========================================================================
+// FedEx Invoice Scraper — Pacing
+//
+// One pacing configuration for the background worker, the content script
+// and the options page. A named profile sets the base waits and timeouts;
+// an adaptive factor stretches the waits after errors and slow page loads
+// and shrinks them again while the site responds quickly. The background
+// worker owns the factor and hands a snapshot to the content script with
+// every message.
+// ==========================================================================
+
+if (!self.FedexPacing) {
+self.FedexPacing = (() => {
+
+const SETTINGS_KEY = "pacingSettings";
+const DEFAULT_PROFILE = "normal";
+
+// throttle:     [min, max] ms pause between page actions
+// actionGap:    least time between page actions across all tabs of a run
+// settle:       longest wait for a page to go quiet after it changes
+// quiet:        how long the DOM must stay unchanged to count as settled
+// step:         pause between scroll steps, keystrokes and similar
+// timeoutScale: multiplies every timeout
+const PROFILES = {
+  cautious: {
+    label: "Cautious",
+    description: "Long pauses and generous timeouts. For slow connections or when FedEx is throttling.",
+    throttle: [4000, 8000],
+    actionGap: 3000,
+    settle: 5000,
+    quiet: 1200,
+    step: 1000,
+    timeoutScale: 2,
+  },
+  normal: {
+    label: "Normal",
+    description: "The pacing the extension has always used.",
+    throttle: [2000, 5000],
+    actionGap: 1500,
+    settle: 3000,
+    quiet: 800,
+    step: 600,
+    timeoutScale: 1,
+  },
+  fast: {
+    label: "Fast",
+    description: "Short pauses; relies on the page's own readiness signals. Backs off by itself if the site struggles.",
+    throttle: [700, 1800],
+    actionGap: 600,
+    settle: 2000,
+    quiet: 500,
+    step: 350,
+    timeoutScale: 1,
+  },
+};
+
+// Adaptive factor: ×1.5 after an error, ×1.25 after a slow load, ×0.9 after
+// a quick one, always within these bounds
+const MIN_FACTOR = 0.6;
+const MAX_FACTOR = 4;
+
+let state = { profile: DEFAULT_PROFILE, factor: 1 };
+
+function profile() {
+  return PROFILES[state.profile] || PROFILES[DEFAULT_PROFILE];
+}
+
+async function loadSettings() {
+  const stored = await chrome.storage.local.get(SETTINGS_KEY);
+  return stored[SETTINGS_KEY] || { profile: DEFAULT_PROFILE };
+}
+
+function saveSettings(settings) {
+  return chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+}
+
+// Start a run on the stored profile with a neutral factor
+function configure(settings) {
+  state = {
+    profile: settings && PROFILES[settings.profile] ? settings.profile : DEFAULT_PROFILE,
+    factor: 1,
+  };
+}
+
+function snapshot() {
+  return { ...state };
+}
+
+function adopt(snap) {
+  if (snap && PROFILES[snap.profile] && Number.isFinite(snap.factor)) {
+    state = { profile: snap.profile, factor: snap.factor };
+  }
+}
+
+function describe() {
+  return `${profile().label} ×${state.factor.toFixed(2)}`;
+}
+
+// Waits scale with the adaptive factor...
+function delay(ms) {
+  return Math.round(ms * state.factor);
+}
+
+function actionGap() {
+  return delay(profile().actionGap);
+}
+
+function step() {
+  return delay(profile().step);
+}
+
+function settle() {
+  return delay(profile().settle);
+}
+
+function quiet() {
+  return delay(profile().quiet);
+}
+
+// ...timeouts only ever grow, so a fast profile never cuts a slow page short
+function timeout(ms) {
+  return Math.round(ms * profile().timeoutScale * Math.max(1, state.factor));
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Random pause between page actions (anti-bot throttle)
+function throttle() {
+  const [min, max] = profile().throttle;
+  return sleep(delay(min + Math.random() * (max - min)));
+}
+
+function setFactor(factor) {
+  const before = state.factor;
+  state.factor = Math.min(MAX_FACTOR, Math.max(MIN_FACTOR, Math.round(factor * 100) / 100));
+  return state.factor > before;
+}
+
+// Each returns true when pacing slowed down, so callers can log it
+function recordError() {
+  return setFactor(state.factor * 1.5);
+}
+
+// `elapsed` is how long a page took to settle; `timedOut` means it never did
+function recordPageLoad(elapsed, timedOut) {
+  if (timedOut || elapsed > profile().settle) return setFactor(state.factor * 1.25);
+  return setFactor(state.factor * 0.9);
+}
+
+return {
+  SETTINGS_KEY,
+  DEFAULT_PROFILE,
+  PROFILES,
+  loadSettings,
+  saveSettings,
+  configure,
+  snapshot,
+  adopt,
+  describe,
+  delay,
+  actionGap,
+  step,
+  settle,
+  quiet,
+  timeout,
+  sleep,
+  throttle,
+  recordError,
+  recordPageLoad,
+};
+
+})();
+} // end of double-injection guard
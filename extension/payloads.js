@@ -0,0 +1,319 @@
+"use strict";
+
+// ==========================================================================
+// FedEx Invoice Scraper — API payloads
+//
+// Maps the JSON the FedEx billing app loads over fetch/XHR (copied out of
+// the page by capture.js) to the records the DOM extractors return:
+// invoice rows, invoice list records, shipment table rows and shipment
+// details. The app's tables use its field names as data-labels
+// ("invoiceNumber", "originalAmountStr", ...), so those drive the mapping.
+// Payloads are recognised by their records, not by URL.
+// ==========================================================================
+
+if (!window.FedexPayloads) {
+window.FedexPayloads = (() => {
+
+const {
+  normalizeAmount, shipmentTableRecord, chargeColumns, checkAddress, addressColumns,
+} = window.FedexExtractors;
+
+// window.postMessage tag shared with capture.js (which cannot load this file)
+const CAPTURE_SOURCE = "fedex-scraper-capture";
+
+const INVOICE_KEYS = ["invoiceNumber", "invoiceNo", "invoiceNbr"];
+const TRACKING_KEYS = ["trackingNumber", "trackingId", "trackingNo", "trackingNbr"];
+const AMOUNT_KEYS = ["originalAmount", "originalAmountStr", "currentBalance", "currentBalanceStr"];
+
+// Account Summary and shipment table data-labels, in table order
+const INVOICE_FIELDS = [
+  "invoiceNumber", "localInvoiceNumber", "invoiceDateStr", "invoiceDueDateStr",
+  "payerAccountNumber", "originalAmountStr", "currentBalanceStr", "invoiceTypeStr",
+  "invoiceStatus", "paymentStatus", "currency", "adjusted", "documentsAvailable",
+];
+const SHIPMENT_FIELDS = [
+  "trackingNumber", "accountNumber", "shipmentDateStr", "shipmentFilterType",
+  "productGroup", "shipmentReferenceDesc", "shipmentPayor", "shipmentFilterStatus",
+  "meterNumber", "originalAmountStr", "currentBalanceStr", "adjusted",
+];
+const MONEY_FIELDS = new Set(["originalAmountStr", "currentBalanceStr", "adjusted"]);
+const DATE_FIELDS = new Set(["invoiceDateStr", "invoiceDueDateStr", "shipmentDateStr"]);
+
+// Shipment detail fields named like the Shipment Details page's labels;
+// anything else is labelled from its field name
+const DETAIL_LABELS = {
+  trackingNumber: "Tracking ID number",
+  trackingId: "Tracking ID number",
+  trackingNo: "Tracking ID number",
+  invoiceNumber: "Invoice number",
+  accountNumber: "Account number",
+  invoiceDate: "Invoice date",
+  invoiceDueDate: "Due date",
+  dueDate: "Due date",
+  originalAmount: "Total billed",
+  totalBilled: "Total billed",
+  currentBalance: "Tracking ID balance due",
+  status: "Status",
+  shipmentDate: "Ship date",
+  shipDate: "Ship date",
+};
+
+const PARTIES = [
+  [/^(sender|shipper|origin)/i, "Sender"],
+  [/^(recipient|consignee|destination)/i, "Recipient"],
+];
+
+// ---------------------------------------------------------------------------
+// Value formatting — the same text the tables show: "$1,046.36",
+// "02/13/2026"
+// ---------------------------------------------------------------------------
+function pick(obj, keys) {
+  for (const k of keys) {
+    if (obj[k] != null && obj[k] !== "") return obj[k];
+  }
+  return undefined;
+}
+
+function isPlainObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
+function formatMoney(value, currency) {
+  if (typeof value !== "number") return String(value).trim();
+  const text = Math.abs(value).toLocaleString("en-US", {
+    minimumFractionDigits: 2, maximumFractionDigits: 2,
+  });
+  const sign = value < 0 ? "-" : "";
+  return !currency || currency === "USD" ? `${sign}$${text}` : `${sign}${text} ${currency}`;
+}
+
+// "2026-02-13", "2026-02-13T00:00:00Z" or epoch ms → "02/13/2026"
+function formatDate(value) {
+  let y, m, d;
+  const iso = typeof value === "string" && value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) {
+    [, y, m, d] = iso;
+  } else if (typeof value === "number") {
+    const date = new Date(value);
+    y = date.getUTCFullYear();
+    m = String(date.getUTCMonth() + 1).padStart(2, "0");
+    d = String(date.getUTCDate()).padStart(2, "0");
+  } else {
+    return String(value).trim();
+  }
+  return `${m}/${d}/${y}`;
+}
+
+function scalarText(value) {
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  return String(value).trim();
+}
+
+// A table column's text: "originalAmountStr" falls back to "originalAmount"
+function fieldText(obj, label) {
+  const raw = obj[label] != null ? obj[label] : obj[label.replace(/Str$/, "")];
+  if (raw == null || typeof raw === "object") return undefined;
+  if (MONEY_FIELDS.has(label)) return formatMoney(raw, obj.currency);
+  if (DATE_FIELDS.has(label)) return formatDate(raw);
+  return scalarText(raw);
+}
+
+// "packageWeightLbs" / "PACKAGE_WEIGHT" → "Package weight lbs" / "Package weight"
+function humanize(key) {
+  const words = key
+    .replace(/_/g, " ")
+    .replace(/([a-z\d])([A-Z])/g, "$1 $2")
+    .trim()
+    .toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// ---------------------------------------------------------------------------
+// Finding records: arrays of invoice-like or shipment-like objects, and
+// shipment objects on their own (a Shipment Details response)
+// ---------------------------------------------------------------------------
+function isInvoiceObject(obj) {
+  return pick(obj, INVOICE_KEYS) != null && pick(obj, TRACKING_KEYS) == null &&
+    AMOUNT_KEYS.some((k) => obj[k] != null);
+}
+
+function isShipmentObject(obj) {
+  return pick(obj, TRACKING_KEYS) != null;
+}
+
+// → { invoices: [object], shipments: [object], details: [object] }
+function readPayload(body) {
+  const found = { invoices: [], shipments: [], details: [] };
+
+  const walk = (node, depth) => {
+    if (depth > 8 || !node || typeof node !== "object") return;
+    if (Array.isArray(node)) {
+      if (node.length > 0 && node.every(isPlainObject)) {
+        if (node.every(isInvoiceObject)) {
+          found.invoices.push(...node);
+          return;
+        }
+        if (node.every(isShipmentObject)) {
+          found.shipments.push(...node);
+          return;
+        }
+      }
+      node.forEach((item) => walk(item, depth + 1));
+      return;
+    }
+    if (isShipmentObject(node)) {
+      found.details.push(node);
+      return;
+    }
+    Object.values(node).forEach((value) => walk(value, depth + 1));
+  };
+
+  walk(body, 0);
+  return found;
+}
+
+// ---------------------------------------------------------------------------
+// Invoices: a record keyed like scrapeInvoiceTableRecords(), and rows shaped
+// like scrapeInvoiceRows() (one per distinct amount, without a link)
+// ---------------------------------------------------------------------------
+function invoiceRecord(obj) {
+  const record = {};
+  for (const label of INVOICE_FIELDS) {
+    const text = fieldText(obj, label);
+    if (text !== undefined) record[label] = text;
+  }
+  record.invoiceNumber = scalarText(pick(obj, INVOICE_KEYS));
+  return record;
+}
+
+function invoiceRows(record) {
+  const amounts = new Set();
+  if (record.originalAmountStr) amounts.add(normalizeAmount(record.originalAmountStr));
+  if (record.currentBalanceStr) amounts.add(normalizeAmount(record.currentBalanceStr));
+
+  return [...amounts].map((amount) => ({
+    invoiceNumber: record.invoiceNumber,
+    localInvoiceNumber: record.localInvoiceNumber || "",
+    invoiceDate: record.invoiceDateStr || "",
+    dueDate: record.invoiceDueDateStr || "",
+    payerAccount: record.payerAccountNumber || "",
+    originalAmount: record.originalAmountStr || "",
+    currentBalance: record.currentBalanceStr || "",
+    adjusted: record.adjusted || "",
+    status: record.invoiceStatus || "",
+    documents: record.documentsAvailable || "",
+    amount,
+    linkEl: null,
+    strategy: "api",
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// Shipments: a row keyed like scrapeShipmentTable(), and details keyed like
+// readShipmentDetails()
+// ---------------------------------------------------------------------------
+function shipmentRow(obj) {
+  const cells = {};
+  for (const label of SHIPMENT_FIELDS) {
+    const text = fieldText(obj, label);
+    if (text !== undefined) cells[label] = text;
+  }
+  cells.trackingNumber = scalarText(pick(obj, TRACKING_KEYS));
+  return shipmentTableRecord(cells);
+}
+
+function partyFields(prefix, party, data) {
+  const p = { ...party, ...(isPlainObject(party.contact) ? party.contact : {}),
+    ...(isPlainObject(party.address) ? party.address : {}) };
+  const text = (value) => (value != null && typeof value !== "object" ? scalarText(value) : "");
+  const street = (Array.isArray(p.streetLines)
+    ? p.streetLines
+    : [p.address1, p.address2, p.addressLine1, p.addressLine2, p.street]
+  ).filter((l) => l && typeof l === "string").map((l) => l.trim());
+  const address = checkAddress({
+    name: text(pick(p, ["name", "personName", "contactName"])),
+    company: text(pick(p, ["companyName", "company"])),
+    street1: street[0] || "",
+    street2: street.slice(1).join(", "),
+    city: text(p.city),
+    state: text(pick(p, ["stateOrProvinceCode", "stateCode", "state"])),
+    postalCode: text(pick(p, ["postalCode", "zipCode", "zip"])),
+    country: text(pick(p, ["countryCode", "country"])),
+  });
+  // Blank columns are left out: these fields override the page's
+  for (const [column, value] of Object.entries(addressColumns(prefix, address))) {
+    if (value !== "") data[column] = value;
+  }
+  // FedEx's own residential/commercial flag, for the dispute rules
+  if (typeof p.residential === "boolean") data[`${prefix} Residential`] = scalarText(p.residential);
+}
+
+function chargePairs(list, currency) {
+  const pairs = {};
+  for (const item of list) {
+    const label = pick(item, ["description", "chargeDescription", "name", "chargeType", "type"]);
+    const amount = pick(item, ["amount", "chargeAmount", "value"]);
+    if (label == null || amount == null || typeof amount === "object") continue;
+    pairs[scalarText(label)] = formatMoney(amount, item.currency || currency);
+  }
+  return pairs;
+}
+
+function shipmentDetails(obj) {
+  const data = {};
+  const charges = {};
+
+  const collect = (node, depth) => {
+    for (const [key, value] of Object.entries(node)) {
+      if (value == null || value === "") continue;
+
+      if (Array.isArray(value)) {
+        if (/charge/i.test(key) && value.every(isPlainObject)) {
+          Object.assign(charges, chargePairs(value, obj.currency));
+        } else if (/reference/i.test(key) && value.every(isPlainObject)) {
+          for (const ref of value) {
+            const type = pick(ref, ["type", "referenceType", "name"]);
+            const text = pick(ref, ["value", "referenceValue"]);
+            if (type != null && text != null) data["Ref: " + scalarText(type)] = scalarText(text);
+          }
+        }
+        continue;
+      }
+
+      if (isPlainObject(value)) {
+        const party = PARTIES.find(([re]) => re.test(key));
+        if (party) partyFields(party[1], value, data);
+        else if (depth < 3) collect(value, depth + 1);
+        continue;
+      }
+
+      const label = DETAIL_LABELS[key] || DETAIL_LABELS[key.replace(/Str$/, "")] || humanize(key);
+      if (data[label] !== undefined) continue;
+      if (label === "Total billed" || label === "Tracking ID balance due") {
+        data[label] = formatMoney(value, obj.currency);
+      } else if (/date$/i.test(label)) {
+        data[label] = formatDate(value);
+      } else {
+        data[label] = scalarText(value);
+      }
+    }
+  };
+
+  collect(obj, 0);
+  if (Object.keys(charges).length > 0) {
+    Object.assign(data, chargeColumns(charges, data["Total billed"]));
+  }
+  return data;
+}
+
+return {
+  CAPTURE_SOURCE,
+  readPayload,
+  invoiceRecord,
+  invoiceRows,
+  shipmentRow,
+  shipmentDetails,
+};
+
+})();
+} // end of double-injection guard
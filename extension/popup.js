@@ -13,29 +13,203 @@ const resultSection = document.getElementById("result-section");
 const resultIcon = document.getElementById("result-icon");
 const resultText = document.getElementById("result-text");
 const statusDot = document.getElementById("status-dot");
+const resumeSection = document.getElementById("resume-section");
+const resumeText = document.getElementById("resume-text");
+const btnResume = document.getElementById("btn-resume");
+const btnDiscard = document.getElementById("btn-discard");
+const optMode = document.getElementById("opt-mode");
+const optHybridAdjusted = document.getElementById("opt-hybrid-adjusted");
+const optHybridMin = document.getElementById("opt-hybrid-min");
+const optFormat = document.getElementById("opt-format");
+const optAuditSheet = document.getElementById("opt-audit-sheet");
+const optRefresh = document.getElementById("opt-refresh");
+const optDocuments = document.getElementById("opt-documents");
+const optTabs = document.getElementById("opt-tabs");
+const optAccounts = document.getElementById("opt-accounts");
+const accountPicker = document.getElementById("account-picker");
+const accountList = document.getElementById("account-list");
+const accountStatus = document.getElementById("account-status");
+const tabProgress = document.getElementById("tab-progress");
+const btnExportList = document.getElementById("btn-export-list");
+const listFromDate = document.getElementById("list-from-date");
+const listToDate = document.getElementById("list-to-date");
+const listStatus = document.getElementById("list-status");
+const filterInvoiceDate = document.getElementById("filter-invoice-date");
+const filterDueDate = document.getElementById("filter-due-date");
+const filterPayerAccount = document.getElementById("filter-payer-account");
+const btnCheck = document.getElementById("btn-check");
+const checkSection = document.getElementById("check-section");
+const checkVerdict = document.getElementById("check-verdict");
+const checkText = document.getElementById("check-text");
+const checkList = document.getElementById("check-list");
+const linkOffline = document.getElementById("link-offline");
+const linkHistory = document.getElementById("link-history");
+const linkDashboard = document.getElementById("link-dashboard");
+const linkSettings = document.getElementById("link-settings");
+const linkLogTxt = document.getElementById("link-log-txt");
+const linkLogJson = document.getElementById("link-log-json");
 
 let isRunning = false;
 
 // ---------------------------------------------------------------------------
-// Parse pasted amounts into an array of normalized strings like "452.67"
+// Parse pasted input into typed lookups: { type, value }
+//   type "amount"   → value normalized like "452.67"
+//   type "invoice"  → value as typed, e.g. "5-014-99875"
+//   type "tracking" → value digits only, e.g. "888628609047"
+// A token can force its type with a prefix: "amt:", "inv:" or "trk:".
 // ---------------------------------------------------------------------------
-function parseAmounts(raw) {
+const TYPE_PREFIXES = {
+  amt: "amount", amount: "amount",
+  inv: "invoice", invoice: "invoice",
+  trk: "tracking", tracking: "tracking",
+};
+
+function classifyToken(tok) {
+  let type = null;
+  let text = tok;
+  const prefix = tok.match(/^([a-z]+)\s*[:#]\s*(.+)$/i);
+  if (prefix && TYPE_PREFIXES[prefix[1].toLowerCase()]) {
+    type = TYPE_PREFIXES[prefix[1].toLowerCase()];
+    text = prefix[2].trim();
+  }
+
+  if (!type) {
+    if (/\$/.test(text) || /^\d+\.\d{1,2}$/.test(text)) type = "amount";
+    else if (/^\d-?\d{3}-?\d{5}$/.test(text)) type = "invoice";
+    else if (/^\d{10,22}$/.test(text)) type = "tracking";
+    else if (/^\d{1,8}$/.test(text)) type = "amount";
+    else if (/^[A-Z0-9]+(-[A-Z0-9]+)*$/i.test(text) && /\d/.test(text)) type = "invoice";
+    else return null;
+  }
+
+  if (type === "amount") {
+    const cleaned = text.replace(/[^0-9.]/g, "");
+    if (!/^\d+(\.\d{1,2})?$/.test(cleaned)) return null;
+    return { type, value: Number(cleaned).toFixed(2) };
+  }
+  if (type === "tracking") {
+    const digits = text.replace(/\s+/g, "");
+    return /^\d{10,22}$/.test(digits) ? { type, value: digits } : null;
+  }
+  return /[A-Z0-9]/i.test(text) ? { type, value: text } : null;
+}
+
+function parseInputs(raw) {
   const tokens = raw.split(/[,\n\r;]+/).map((t) => t.trim()).filter(Boolean);
-  const amounts = [];
+  const inputs = [];
+  const seen = new Set();
   for (const tok of tokens) {
-    const cleaned = tok.replace(/[^0-9.]/g, "");
-    if (cleaned && /^\d+(\.\d{1,2})?$/.test(cleaned)) {
-      amounts.push(cleaned);
-    }
+    const input = classifyToken(tok);
+    if (!input) continue;
+    const key = input.type + ":" + input.value.replace(/[^0-9A-Za-z.]/g, "").toUpperCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    inputs.push(input);
   }
-  return [...new Set(amounts)];
+  return inputs;
 }
 
+function describeInputs(inputs) {
+  const counts = { amount: 0, invoice: 0, tracking: 0 };
+  inputs.forEach((i) => counts[i.type]++);
+  const parts = [];
+  if (counts.amount) parts.push(`${counts.amount} amount${counts.amount > 1 ? "s" : ""}`);
+  if (counts.invoice) parts.push(`${counts.invoice} invoice${counts.invoice > 1 ? "s" : ""}`);
+  if (counts.tracking) parts.push(`${counts.tracking} tracking ID${counts.tracking > 1 ? "s" : ""}`);
+  return parts.join(", ");
+}
+
+// ---------------------------------------------------------------------------
+// Optional filters that narrow which matching invoices get opened.
+// Dates come from <input type="date"> as "YYYY-MM-DD".
+// ---------------------------------------------------------------------------
+function readFilters() {
+  const filters = {};
+  if (filterInvoiceDate.value) filters.invoiceDate = filterInvoiceDate.value;
+  if (filterDueDate.value) filters.dueDate = filterDueDate.value;
+  if (filterPayerAccount.value.trim()) filters.payerAccount = filterPayerAccount.value.trim();
+  return filters;
+}
+
+// ---------------------------------------------------------------------------
+// Run options: shipment detail mode and the hybrid-mode rule
+// ---------------------------------------------------------------------------
+function readRunOptions() {
+  const options = {
+    mode: optMode.value,
+    format: optFormat.value,
+    auditSheet: optAuditSheet.checked,
+    refresh: optRefresh.checked,
+    documents: optDocuments.checked,
+    tabs: Number(optTabs.value),
+    accounts: readAccounts(),
+  };
+  if (optMode.value === "hybrid") {
+    const min = parseFloat(optHybridMin.value);
+    options.hybrid = {
+      adjusted: optHybridAdjusted.checked,
+      minAmount: Number.isFinite(min) ? min : null,
+    };
+  }
+  return options;
+}
+
+// Accounts to search: "current", "all", or the ones ticked in the picker
+// as [{ number, label }]
+function readAccounts() {
+  if (optAccounts.value !== "pick") return optAccounts.value;
+  return [...accountList.querySelectorAll("input:checked")]
+    .map((box) => ({ number: box.value, label: box.dataset.label }));
+}
+
+// The picker lists the accounts in the open page's account dropdown
+async function loadAccountPicker() {
+  accountList.innerHTML = "";
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab || !tab.url || !tab.url.includes("fedex.com/online/billing")) {
+    accountStatus.textContent = "Open the FedEx Account Summary page to list its accounts.";
+    return;
+  }
+  accountStatus.textContent = "Loading accounts...";
+  chrome.runtime.sendMessage({ type: "LIST_ACCOUNTS", tabId: tab.id }, (resp) => {
+    if (chrome.runtime.lastError || !resp || !resp.success) {
+      accountStatus.textContent = "Could not list accounts: " +
+        (resp?.error || chrome.runtime.lastError?.message || "no response");
+      return;
+    }
+    for (const account of resp.accounts) {
+      const label = document.createElement("label");
+      label.className = "check-label";
+      const box = document.createElement("input");
+      box.type = "checkbox";
+      box.value = account.number;
+      box.dataset.label = account.label;
+      box.checked = account.number === resp.selected;
+      label.append(box, " " + account.label);
+      accountList.appendChild(label);
+    }
+    const n = resp.accounts.length;
+    accountStatus.textContent = `${n} account${n !== 1 ? "s" : ""} on this login`;
+  });
+}
+
+optAccounts.addEventListener("change", () => {
+  const picking = optAccounts.value === "pick";
+  accountPicker.classList.toggle("hidden", !picking);
+  if (picking) loadAccountPicker();
+});
+
+optMode.addEventListener("change", () => {
+  document.querySelectorAll(".hybrid-only").forEach((el) => {
+    el.classList.toggle("hidden", optMode.value !== "hybrid");
+  });
+});
+
 // Update parsed count badge as user types
 amountsInput.addEventListener("input", () => {
-  const amounts = parseAmounts(amountsInput.value);
-  if (amounts.length > 0) {
-    parsedCount.textContent = `${amounts.length} amount${amounts.length > 1 ? "s" : ""}`;
+  const inputs = parseInputs(amountsInput.value);
+  if (inputs.length > 0) {
+    parsedCount.textContent = describeInputs(inputs);
     parsedCount.classList.add("visible");
   } else {
     parsedCount.classList.remove("visible");
@@ -77,6 +251,35 @@ function addLog(message, type = "info") {
   });
 }
 
+// ---------------------------------------------------------------------------
+// Per-tab progress of a parallel run: one line and bar per tab
+// ---------------------------------------------------------------------------
+function renderTabProgress(tabs) {
+  tabProgress.innerHTML = "";
+  for (const tab of tabs) {
+    const row = document.createElement("div");
+    row.className = "tab-progress-row";
+
+    const label = document.createElement("span");
+    label.className = "tab-progress-label";
+    label.textContent = tab.label;
+
+    const track = document.createElement("div");
+    track.className = "progress-track";
+    const fill = document.createElement("div");
+    fill.className = "progress-fill";
+    fill.style.width = Math.round(tab.percent) + "%";
+    track.appendChild(fill);
+
+    const text = document.createElement("span");
+    text.className = "tab-progress-text";
+    text.textContent = tab.text;
+
+    row.append(label, track, text);
+    tabProgress.appendChild(row);
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Listen for progress updates from the background service worker
 // ---------------------------------------------------------------------------
@@ -86,11 +289,21 @@ chrome.runtime.onMessage.addListener((msg) => {
     progressBar.style.width = pct + "%";
     progressPct.textContent = pct + "%";
     progressText.textContent = msg.text || `${pct}%`;
+    renderTabProgress(msg.tabs || []);
   } else if (msg.type === "LOG") {
     addLog(msg.text, msg.level || "info");
+  } else if (msg.type === "RUN_ENDED") {
+    // Start stays off until the background has let go of the run
+    if (isRunning) {
+      isRunning = false;
+      setStatus("idle");
+    }
+    btnStart.disabled = false;
+    btnCancel.disabled = true;
+    btnExportList.disabled = false;
+    refreshStatus(); // offer to resume from the checkpoint
   } else if (msg.type === "DONE") {
     isRunning = false;
-    btnStart.disabled = false;
     btnCancel.disabled = true;
 
     resultSection.classList.remove("hidden");
@@ -104,50 +317,157 @@ chrome.runtime.onMessage.addListener((msg) => {
       setStatus("done");
       resultIcon.className = "result-icon success";
       resultIcon.innerHTML = "&#x2713;";
-      const sc = msg.shipmentCount || 0;
-      const ic = msg.invoiceCount || 0;
-      resultText.textContent =
-        `Complete! ${sc} shipment${sc !== 1 ? "s" : ""} across ${ic} invoice${ic !== 1 ? "s" : ""}. File downloaded.`;
+      if (msg.exportedInvoiceCount != null) {
+        const n = msg.exportedInvoiceCount;
+        resultText.textContent = `Exported ${n} invoice${n !== 1 ? "s" : ""}. File downloaded.`;
+      } else {
+        const sc = msg.shipmentCount || 0;
+        const ic = msg.invoiceCount || 0;
+        resultText.textContent =
+          `Complete! ${sc} shipment${sc !== 1 ? "s" : ""} across ${ic} invoice${ic !== 1 ? "s" : ""}. File downloaded.`;
+      }
     }
   }
 });
 
 // ---------------------------------------------------------------------------
-// Start button
+// Put the popup into its "running" state
 // ---------------------------------------------------------------------------
-btnStart.addEventListener("click", async () => {
-  const amounts = parseAmounts(amountsInput.value);
-  if (amounts.length === 0) {
-    addLog("No valid amounts found. Please paste invoice amounts.", "error");
-    return;
-  }
-
-  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-  if (!tab || !tab.url || !tab.url.includes("fedex.com/online/billing")) {
-    addLog("Please navigate to fedex.com/online/billing first.", "error");
-    return;
-  }
-
+function beginRunUi() {
   isRunning = true;
   setStatus("running");
   btnStart.disabled = true;
   btnCancel.disabled = false;
+  btnResume.disabled = true;
   progressSection.classList.remove("hidden");
   resultSection.classList.add("hidden");
+  resumeSection.classList.add("hidden");
   logList.innerHTML = "";
   progressBar.style.width = "0%";
   progressPct.textContent = "0%";
   progressText.textContent = "Starting...";
+  renderTabProgress([]);
+}
+
+// The background refused a run: back out of the running state. Start goes
+// off again while another run holds the extension.
+function refusedRunUi(resp, what) {
+  if (resp && resp.ack) return;
+  addLog(`${what}: ${resp?.error || "no response"}`, "error");
+  isRunning = false;
+  setStatus("error");
+  btnStart.disabled = false;
+  btnCancel.disabled = true;
+  btnExportList.disabled = false;
+  refreshStatus();
+}
+
+async function getBillingTab() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab || !tab.url || !tab.url.includes("fedex.com/online/billing")) {
+    progressSection.classList.remove("hidden");
+    addLog("Please navigate to fedex.com/online/billing first.", "error");
+    return null;
+  }
+  return tab;
+}
+
+// ---------------------------------------------------------------------------
+// Start button
+// ---------------------------------------------------------------------------
+btnStart.addEventListener("click", async () => {
+  const inputs = parseInputs(amountsInput.value);
+  if (inputs.length === 0) {
+    addLog("Nothing to look up. Paste amounts, invoice numbers or tracking IDs.", "error");
+    return;
+  }
+  const options = readRunOptions();
+  if (Array.isArray(options.accounts) && options.accounts.length === 0) {
+    addLog("No accounts chosen. Tick at least one account under Run options.", "error");
+    return;
+  }
 
-  addLog(`Starting analysis for ${amounts.length} amount${amounts.length > 1 ? "s" : ""}...`);
+  const tab = await getBillingTab();
+  if (!tab) return;
+
+  beginRunUi();
+  addLog(`Starting analysis for ${describeInputs(inputs)}...`);
 
   chrome.runtime.sendMessage({
     type: "START_EXTRACTION",
-    amounts,
+    inputs,
     tabId: tab.id,
+    options: { ...options, filters: readFilters() },
+  }, (resp) => refusedRunUi(resp, "Could not start"));
+});
+
+// ---------------------------------------------------------------------------
+// Export invoice list button
+// ---------------------------------------------------------------------------
+btnExportList.addEventListener("click", async () => {
+  const tab = await getBillingTab();
+  if (!tab) return;
+
+  const filters = {};
+  if (listFromDate.value) filters.fromDate = listFromDate.value;
+  if (listToDate.value) filters.toDate = listToDate.value;
+  if (listStatus.value.trim()) filters.status = listStatus.value.trim();
+
+  beginRunUi();
+  btnExportList.disabled = true;
+  addLog("Exporting invoice list...");
+  chrome.runtime.sendMessage({ type: "EXPORT_INVOICE_LIST", tabId: tab.id, filters },
+    (resp) => refusedRunUi(resp, "Could not export"));
+});
+
+// ---------------------------------------------------------------------------
+// Resume / discard an interrupted run
+// ---------------------------------------------------------------------------
+function showResumeOffer(cp) {
+  const started = new Date(cp.startedAt).toLocaleString();
+  const sc = cp.shipmentCount;
+  resumeText.textContent =
+    `Started ${started}: ${cp.inputsDone} of ${cp.inputsTotal} input${cp.inputsTotal !== 1 ? "s" : ""} ` +
+    `finished, ${sc} shipment${sc !== 1 ? "s" : ""} saved.`;
+  btnResume.disabled = false;
+  resumeSection.classList.remove("hidden");
+}
+
+btnResume.addEventListener("click", async () => {
+  const tab = await getBillingTab();
+  if (!tab) return;
+
+  beginRunUi();
+  addLog("Resuming unfinished run...");
+  chrome.runtime.sendMessage({ type: "RESUME_EXTRACTION", tabId: tab.id },
+    (resp) => refusedRunUi(resp, "Could not resume"));
+});
+
+btnDiscard.addEventListener("click", () => {
+  chrome.runtime.sendMessage({ type: "DISCARD_CHECKPOINT" }, (resp) => {
+    if (resp && resp.ack) resumeSection.classList.add("hidden");
   });
 });
 
+function refreshStatus() {
+  chrome.runtime.sendMessage({ type: "GET_STATUS" }, (resp) => {
+    if (chrome.runtime.lastError || !resp) return;
+    if (resp.running) {
+      isRunning = true;
+      setStatus("running");
+      btnStart.disabled = true;
+      btnCancel.disabled = false;
+      btnExportList.disabled = true;
+      progressSection.classList.remove("hidden");
+      progressText.textContent = "A run is in progress...";
+    } else if (resp.checkpoint) {
+      showResumeOffer(resp.checkpoint);
+    }
+  });
+}
+
+refreshStatus();
+
 // ---------------------------------------------------------------------------
 // Cancel button
 // ---------------------------------------------------------------------------
@@ -155,8 +475,115 @@ btnCancel.addEventListener("click", () => {
   chrome.runtime.sendMessage({ type: "CANCEL_EXTRACTION" });
   isRunning = false;
   setStatus("idle");
-  btnStart.disabled = false;
-  btnCancel.disabled = true;
-  progressText.textContent = "Cancelled.";
+  btnCancel.disabled = true; // Start comes back once the run has stopped
+  progressText.textContent = "Cancelling...";
   addLog("Analysis cancelled by user.", "error");
 });
+
+// ---------------------------------------------------------------------------
+// Check page: compare the open page with the selector profile's fingerprint
+// of it, so a FedEx redesign shows up before a run rather than as a run
+// that quietly finds nothing
+// ---------------------------------------------------------------------------
+const CHECK_LEVELS = { ok: "success", warn: "warn", error: "error" };
+
+function addCheckLine(text, type) {
+  const div = document.createElement("div");
+  div.className = "log-entry " + type;
+  div.textContent = text;
+  checkList.appendChild(div);
+}
+
+function showCheckReport(report) {
+  const { page, errors, warnings } = report;
+  const name = page || "This page";
+  if (errors > 0) {
+    checkVerdict.textContent = `${errors} error${errors !== 1 ? "s" : ""}`;
+    checkText.textContent = `${name} has changed in ways a run depends on. ` +
+      "Update the selector profile (Settings) before starting.";
+  } else if (warnings > 0) {
+    checkVerdict.textContent = `${warnings} warning${warnings !== 1 ? "s" : ""}`;
+    checkText.textContent = `${name} differs from the known-good structure; a run should still work.`;
+  } else {
+    checkVerdict.textContent = "OK";
+    checkText.textContent = `${name} matches the known-good structure.`;
+  }
+  for (const f of report.findings) addCheckLine(f.text, CHECK_LEVELS[f.level] || "info");
+}
+
+btnCheck.addEventListener("click", async () => {
+  const tab = await getBillingTab();
+  if (!tab) return;
+
+  btnCheck.disabled = true;
+  checkSection.classList.remove("hidden");
+  checkVerdict.textContent = "";
+  checkText.textContent = "Checking page...";
+  checkList.innerHTML = "";
+
+  chrome.runtime.sendMessage({ type: "CHECK_PAGE", tabId: tab.id }, (resp) => {
+    btnCheck.disabled = false;
+    if (chrome.runtime.lastError || !resp || !resp.success) {
+      checkVerdict.textContent = "Failed";
+      checkText.textContent = "Page check failed: " +
+        (resp?.error || chrome.runtime.lastError?.message || "no response");
+      return;
+    }
+    showCheckReport(resp.report);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Saved pages: open the offline parser in a tab of its own
+// ---------------------------------------------------------------------------
+linkOffline.addEventListener("click", (e) => {
+  e.preventDefault();
+  chrome.tabs.create({ url: chrome.runtime.getURL("offline.html") });
+});
+
+// ---------------------------------------------------------------------------
+// History: search and re-export shipments from earlier runs
+// ---------------------------------------------------------------------------
+linkHistory.addEventListener("click", (e) => {
+  e.preventDefault();
+  chrome.tabs.create({ url: chrome.runtime.getURL("history.html") });
+});
+
+// ---------------------------------------------------------------------------
+// Dashboard: spend charts from the same history
+// ---------------------------------------------------------------------------
+linkDashboard.addEventListener("click", (e) => {
+  e.preventDefault();
+  chrome.tabs.create({ url: chrome.runtime.getURL("dashboard.html") });
+});
+
+// ---------------------------------------------------------------------------
+// Settings: pacing profile
+// ---------------------------------------------------------------------------
+linkSettings.addEventListener("click", (e) => {
+  e.preventDefault();
+  chrome.runtime.openOptionsPage();
+});
+
+// ---------------------------------------------------------------------------
+// Run log: download the last run's audit trail
+// ---------------------------------------------------------------------------
+function exportRunLog(format) {
+  chrome.runtime.sendMessage({ type: "EXPORT_AUDIT", format }, (resp) => {
+    if (chrome.runtime.lastError || !resp || !resp.success) {
+      progressSection.classList.remove("hidden");
+      addLog("Run log export failed: " +
+        (chrome.runtime.lastError?.message || resp?.error || "no response"), "error");
+    }
+  });
+}
+
+linkLogTxt.addEventListener("click", (e) => {
+  e.preventDefault();
+  exportRunLog("txt");
+});
+
+linkLogJson.addEventListener("click", (e) => {
+  e.preventDefault();
+  exportRunLog("json");
+});
@@ -0,0 +1,464 @@
+"use strict";
+
+// ==========================================================================
+// FedEx Invoice Scraper — Selector profile
+//
+// Everything the extension knows about FedEx Billing Online's markup, as
+// data: component tags and CSS selectors, the data-label aliases of table
+// columns, accordion section IDs, routes and the text labels it looks for.
+// The extractors and the content script read the page only through the
+// active profile, so a FedEx UI change can be met by importing an updated
+// profile on the Settings page instead of reinstalling the extension.
+//
+// A profile is plain JSON. `schema` is the format this code reads; `version`
+// ("2026.02.1") orders profiles for the same schema. An imported profile
+// may list only what it changes — every section it leaves out, and every
+// name it does not list within a section, comes from the built-in profile.
+// An imported profile older than the built-in one is ignored, so an
+// extension update that ships fixes is not shadowed by a stale import.
+// ==========================================================================
+
+if (!self.FedexProfile) {
+self.FedexProfile = (() => {
+
+const SCHEMA_VERSION = 1;
+const STORAGE_KEY = "selectorProfile";
+
+const BUILT_IN = {
+  schema: SCHEMA_VERSION,
+  name: "FedEx Billing Online",
+  version: "2026.02.2",
+
+  // Account Summary address, and URL fragments of the detail routes
+  urls: {
+    invoices: "https://www.fedex.com/online/billing/cbs/invoices",
+    invoiceDetails: "invoice-detail",
+    shipmentDetails: "shipment-detail",
+  },
+
+  // CSS selectors. A list is tried in order; the first that matches wins.
+  selectors: {
+    clickable: [
+      "button.fdx-c-button--text", "button.fdx-c-button", "button", "a",
+      "[role='link']", "[role='button']",
+    ],
+    loadingSpinner: "app-loading-spinner",
+    busy: "[aria-busy='true']",
+    tableTotalRange: ".number",
+    tableTotalLabel: "label",
+    pagination: ".fdx-c-pagination button, .fdx-c-pagination a, [class*='pagination'] button",
+
+    // Account Summary
+    invoiceTable: [
+      ".fdx-c-table__tbody.invoice-table-data",
+      "tbody.invoice-table-data",
+      ".invoice-table-data",
+      "app-invoices .fdx-c-table__tbody",
+      "app-invoices tbody",
+      "#content .fdx-c-table .fdx-c-table__tbody",
+      "#content table tbody",
+      "cdk-virtual-scroll-viewport .fdx-c-table__tbody",
+      "cdk-virtual-scroll-viewport tbody",
+      ".fdx-c-table__tbody",
+      "table tbody",
+    ],
+    invoiceTableReady: [
+      ".fdx-c-table__tbody.invoice-table-data",
+      ".invoice-table-data",
+      "app-invoices table",
+      "#content table tbody",
+      ".fdx-c-table__tbody",
+    ],
+    invoiceTableHeader: "app-invoice-table-header",
+    invoiceRow: "tr, .fdx-c-table__tbody__tr, .invoice-grid-item",
+    invoiceViewport: "cdk-virtual-scroll-viewport",
+    // Ticking rows and pressing "Download (up to 10)" fetches their documents
+    invoiceRowCheckbox: ["td[data-label='Action'] input[type='checkbox']", "input[type='checkbox']"],
+    documentDownloadButton: "app-add-cart-button button",
+    accountSelect: ["app-account-dd select", "select#account_dd"],
+    quickSearchSelect: ["app-quick-search select", "select#searchFor"],
+    quickSearchInput: [
+      "app-quick-search input[type='text']",
+      "app-quick-search input:not([type])",
+      "app-quick-search input",
+    ],
+    quickSearchButton: "app-quick-search button",
+
+    // Invoice Details
+    invoiceDetail: "app-invoice-detail",
+    invoiceDetailReady: ["app-shipment-table", "app-invoice-detail"],
+    shipmentTable: "app-shipment-table",
+    shipmentTableHeader: "app-shipment-table-header",
+    shipmentViewport: [
+      "app-shipment-table cdk-virtual-scroll-viewport",
+      "app-invoice-detail cdk-virtual-scroll-viewport",
+    ],
+    trackingScope: "table, [class*='table'], app-shipment-table, app-invoice-detail",
+
+    // Shipment Details
+    shipmentPage: "app-shipment-summary",
+    shipmentDetailReady: ["app-shipment-summary", "app-shipment-detail", ".invoice-summary", "#SHIPMENT_DETAILS"],
+    shipmentSummary: ["app-shipment-summary", ".invoice-summary", "app-shipment-detail"],
+    accordionButton: ".fdx-c-accordion__button, [class*='accordion__button']",
+    eyebrow: ".fdx-c-eyebrow, .fdx-c-eyebrow--small, [class*='eyebrow']",
+    gridItem: [".fdx-o-grid__item", "[class*='grid__item']"],
+    gridRow: "[class*='grid__row']",
+    gridRowLabel: "[class*='font-size--small'], [class*='color--text']",
+    gridRowValue: "[class*='fontweight--medium']",
+    addressSection: [".summary-col", "[class*='summary']", ".fdx-o-grid"],
+    addressLine: "p, span[class*='grid__item'], span",
+  },
+
+  // Table columns by data-label; the first alias present wins
+  dataLabels: {
+    invoiceNumber: ["invoiceNumber", "INVOICE_NUMBER", "invoice"],
+    localInvoiceNumber: ["localInvoiceNumber", "LOCAL_INVOICE_NUMBER"],
+    invoiceDate: ["invoiceDateStr", "invoiceDate", "INVOICE_DATE"],
+    dueDate: ["invoiceDueDateStr", "invoiceDueDate", "DUE_DATE"],
+    payerAccount: ["payerAccountNumber", "PAYER_ACCOUNT_NUMBER", "accountNumber"],
+    // originalAmountStr first — currentBalanceStr is $0.00 for closed invoices
+    originalAmount: ["originalAmountStr", "originalAmount", "ORIGINAL_AMOUNT_DUE"],
+    currentBalance: ["currentBalanceStr", "currentBalance", "CURRENT_BALANCE", "balance", "amount"],
+    status: ["invoiceStatus", "INVOICE_STATUS", "status"],
+    adjusted: ["adjusted", "ADJUSTED"],
+    documents: ["documentsAvailable", "DOCUMENTS_AVAILABLE"],
+    trackingNumber: ["trackingNumber", "TRACKING_ID", "trackingId"],
+  },
+
+  // Shipment table data-label → workbook column (named like the Shipment
+  // Details page where the data overlaps); unlisted labels are kept as-is
+  shipmentColumns: {
+    trackingNumber: "Tracking ID number",
+    TRACKING_ID: "Tracking ID number",
+    trackingId: "Tracking ID number",
+    accountNumber: "Account number",
+    shipmentDateStr: "Ship date",
+    shipmentFilterType: "Shipment type",
+    productGroup: "Product group",
+    shipmentReferenceDesc: "Reference",
+    shipmentPayor: "Payor",
+    shipmentFilterStatus: "Status",
+    meterNumber: "Meter number",
+    originalAmountStr: "Total billed",
+    ORIGINAL_AMOUNT_DUE: "Total billed",
+    currentBalanceStr: "Tracking ID balance due",
+    adjusted: "Adjusted",
+  },
+
+  // Columns that only hold buttons
+  skipColumns: {
+    invoiceTable: ["Action"],
+    shipmentTable: ["Action", "Kebab"],
+  },
+
+  // Shipment Details accordions: label/value sections by element ID, with
+  // the prefix their fields get, and the charges section
+  sections: [
+    { id: "SHIPMENT_DETAILS", prefix: "" },
+    { id: "REFERENCE", prefix: "Ref: " },
+    { id: "CUSTOMS", prefix: "Customs: " },
+  ],
+  chargesSection: "CHARGES",
+
+  // Visible text the extractors look for
+  text: {
+    senderHeading: "Sender information",
+    recipientHeading: "Recipient information",
+    addressNoise: ["VIEW SIGNATURE", "Dispute"],
+    // "PDF status" values of invoices without a document to download
+    documentsUnavailable: ["Not supported", "Not available", "Unavailable", "None"],
+    quickSearchButton: "Search",
+    nextPage: "next",
+    previousPage: "previous",
+  },
+
+  // Invoice Details "Billing Information" / "Charge Summary" labels
+  invoiceHeader: {
+    invoiceNumber: ["Invoice number"],
+    invoiceDate: ["Invoice date"],
+    dueDate: ["Invoice due date", "Due date"],
+    payerAccount: ["Account number"],
+    originalAmount: ["Total Invoice Amount"],
+    currentBalance: ["Invoice balance", "Total balance due"],
+    status: ["Invoice status"],
+  },
+
+  // Known-good structure of each page (from pages saved in February 2026)
+  // for the "Check page" health check. `route` is the end of the page's URL
+  // path, in whole segments; `table` and `tableHeader` name selectors
+  // entries; `columns` are the table's data-labels in order; `ids` are
+  // element IDs the page must have.
+  fingerprints: {
+    invoices: {
+      label: "Account Summary",
+      route: "cbs/invoices",
+      components: [
+        "app-invoices", "app-account-summary", "app-account-dd", "app-invoice-table-header",
+        "app-active-filters", "app-invoice-table", "cdk-virtual-scroll-viewport", "app-quick-search",
+      ],
+      table: "invoiceTable",
+      tableHeader: "invoiceTableHeader",
+      columns: [
+        "Action", "payerAccountNumber", "invoiceNumber", "localInvoiceNumber", "invoiceDueDateStr",
+        "invoiceDateStr", "invoiceStatus", "documentsAvailable", "invoiceTypeStr", "originalAmountStr",
+        "currentBalanceStr", "paymentStatus", "currency", "adjusted",
+      ],
+    },
+    invoiceDetails: {
+      label: "Invoice Details",
+      route: "invoice-details",
+      components: [
+        "app-invoice-detail", "app-invoice-summary", "app-summary-column", "app-shipment-table-header",
+        "app-shipment-active-filters", "app-shipment-table", "cdk-virtual-scroll-viewport",
+      ],
+      table: "shipmentTable",
+      tableHeader: "shipmentTableHeader",
+      columns: [
+        "Action", "accountNumber", "trackingNumber", "shipmentDateStr", "shipmentFilterType",
+        "productGroup", "shipmentReferenceDesc", "shipmentPayor", "shipmentFilterStatus",
+        "meterNumber", "originalAmountStr", "currentBalanceStr", "adjusted",
+      ],
+    },
+    shipmentDetails: {
+      label: "Shipment Details",
+      route: "shipment-details",
+      components: ["app-shipment-detail", "app-shipment-summary", "app-accordion-template"],
+      ids: ["SHIPMENT_DETAILS", "CHARGES", "REFERENCE", "CUSTOMS"],
+    },
+  },
+};
+
+// Sections whose names are merged one by one; the rest are replaced whole
+const MERGED_SECTIONS = [
+  "urls", "selectors", "dataLabels", "shipmentColumns", "skipColumns", "text", "invoiceHeader", "fingerprints",
+];
+// Sections that may name entries the built-in profile does not have
+const OPEN_SECTIONS = ["shipmentColumns", "fingerprints"];
+const REPLACED_SECTIONS = ["sections", "chargesSection"];
+
+let active = { ...BUILT_IN, source: "built-in" };
+
+// ---------------------------------------------------------------------------
+// Versions: "2026.02.1" < "2026.02.10" < "2026.3"
+// ---------------------------------------------------------------------------
+function compareVersions(a, b) {
+  const pa = String(a).split(".").map(Number);
+  const pb = String(b).split(".").map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const d = (pa[i] || 0) - (pb[i] || 0);
+    if (d !== 0) return d;
+  }
+  return 0;
+}
+
+// ---------------------------------------------------------------------------
+// Validation: a list of problems, empty when the profile can be used.
+// Selectors are only syntax-checked where there is a document to parse them.
+// ---------------------------------------------------------------------------
+const isStringList = (v) => Array.isArray(v) && v.length > 0 && v.every((s) => typeof s === "string" && s);
+const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+function badSelector(sel) {
+  if (typeof document === "undefined") return false;
+  try {
+    document.createDocumentFragment().querySelector(sel);
+    return false;
+  } catch {
+    return true;
+  }
+}
+
+function fingerprintErrors(where, fp) {
+  if (!isPlainObject(fp)) return [`${where} must be an object`];
+  const errors = [];
+  if (typeof fp.label !== "string" || !fp.label) errors.push(`${where}.label must be a page name`);
+  if (!isStringList(fp.components)) errors.push(`${where}.components must be a list of tag names`);
+  for (const key of ["columns", "ids"]) {
+    if (fp[key] !== undefined && !isStringList(fp[key])) errors.push(`${where}.${key} must be a list of strings`);
+  }
+  for (const key of ["table", "tableHeader"]) {
+    if (fp[key] !== undefined && !(fp[key] in BUILT_IN.selectors)) {
+      errors.push(`${where}.${key} must name a selectors entry`);
+    }
+  }
+  if (fp.route !== undefined && (typeof fp.route !== "string" || !fp.route)) {
+    errors.push(`${where}.route must be a URL fragment`);
+  }
+  return errors;
+}
+
+function validate(profile) {
+  const errors = [];
+  if (!isPlainObject(profile)) return ["A profile must be a JSON object"];
+  if (profile.schema !== SCHEMA_VERSION) {
+    errors.push(`Profile schema ${profile.schema} is not supported (this version reads schema ${SCHEMA_VERSION})`);
+  }
+  if (typeof profile.name !== "string" || !profile.name.trim()) errors.push("Profile needs a name");
+  if (typeof profile.version !== "string" || !/^\d+(\.\d+)*$/.test(profile.version)) {
+    errors.push(`Profile version must look like "2026.02.1"`);
+  }
+
+  for (const key of Object.keys(profile)) {
+    if (!["schema", "name", "version", ...MERGED_SECTIONS, ...REPLACED_SECTIONS].includes(key)) {
+      errors.push(`Unknown section "${key}"`);
+    }
+  }
+  for (const section of MERGED_SECTIONS) {
+    if (profile[section] === undefined) continue;
+    if (!isPlainObject(profile[section])) {
+      errors.push(`"${section}" must be an object`);
+      continue;
+    }
+    for (const [name, value] of Object.entries(profile[section])) {
+      const where = `${section}.${name}`;
+      if (!OPEN_SECTIONS.includes(section) && !(name in BUILT_IN[section])) {
+        errors.push(`Unknown entry ${where}`);
+      } else if (section === "fingerprints") {
+        errors.push(...fingerprintErrors(where, value));
+      } else if (typeof value === "string" ? !value : !isStringList(value)) {
+        errors.push(`${where} must be a non-empty string or list of strings`);
+      } else if (section === "selectors") {
+        for (const sel of [].concat(value)) {
+          if (badSelector(sel)) errors.push(`${where}: "${sel}" is not a valid CSS selector`);
+        }
+      }
+    }
+  }
+
+  if (profile.sections !== undefined &&
+      !(Array.isArray(profile.sections) && profile.sections.every((s) =>
+        isPlainObject(s) && typeof s.id === "string" && s.id && typeof s.prefix === "string"))) {
+    errors.push(`"sections" must be a list of { "id": "...", "prefix": "..." }`);
+  }
+  if (profile.chargesSection !== undefined && (typeof profile.chargesSection !== "string" || !profile.chargesSection)) {
+    errors.push(`"chargesSection" must be an element ID`);
+  }
+  return errors;
+}
+
+// The built-in profile with an imported one laid over it
+function resolve(imported) {
+  const profile = { ...BUILT_IN, name: imported.name, version: imported.version, source: "imported" };
+  for (const section of MERGED_SECTIONS) {
+    profile[section] = { ...BUILT_IN[section], ...(imported[section] || {}) };
+  }
+  for (const section of REPLACED_SECTIONS) {
+    if (imported[section] !== undefined) profile[section] = imported[section];
+  }
+  return profile;
+}
+
+// ---------------------------------------------------------------------------
+// Storage: only the imported JSON is stored; the built-in profile ships
+// with the code
+// ---------------------------------------------------------------------------
+async function load() {
+  const stored = await chrome.storage.local.get(STORAGE_KEY);
+  const imported = stored[STORAGE_KEY];
+  active = imported && validate(imported).length === 0 &&
+    compareVersions(imported.version, BUILT_IN.version) >= 0
+    ? resolve(imported)
+    : { ...BUILT_IN, source: "built-in" };
+  return active;
+}
+
+// JSON text → { profile } once stored, or { errors }
+async function importProfile(text) {
+  let profile;
+  try {
+    profile = JSON.parse(text);
+  } catch (err) {
+    return { errors: [`Not valid JSON: ${err.message}`] };
+  }
+  const errors = validate(profile);
+  if (compareVersions(profile.version, BUILT_IN.version) < 0) {
+    errors.push(`Version ${profile.version} is older than the built-in ${BUILT_IN.version}`);
+  }
+  if (errors.length > 0) return { errors };
+  await chrome.storage.local.set({ [STORAGE_KEY]: profile });
+  return { profile: await load() };
+}
+
+async function resetProfile() {
+  await chrome.storage.local.remove(STORAGE_KEY);
+  return load();
+}
+
+// The active profile as an importable file (without the `source` marker)
+function exportJson(profile = active) {
+  const { source, ...rest } = profile;
+  return JSON.stringify(rest, null, 2);
+}
+
+function current() {
+  return active;
+}
+
+function describe(profile = active) {
+  return `${profile.name} ${profile.version} (${profile.source})`;
+}
+
+// ---------------------------------------------------------------------------
+// Lookups used by the readers
+// ---------------------------------------------------------------------------
+// A selectors entry as a list, tried in order
+function list(name) {
+  return [].concat(active.selectors[name]);
+}
+
+// A selectors entry as one selector (matches any of its alternatives)
+function selector(name) {
+  return list(name).join(", ");
+}
+
+// A column's data-label aliases
+function dataLabels(field) {
+  return active.dataLabels[field];
+}
+
+// Cells of a column: labelSelector("trackingNumber", "td") →
+// 'td[data-label="trackingNumber"], td[data-label="TRACKING_ID"], ...'
+function labelSelector(field, tag = "") {
+  return dataLabels(field).map((l) => `${tag}[data-label="${l}"]`).join(", ");
+}
+
+// First element of `root` matching a selectors list, in list order
+function query(root, name) {
+  for (const sel of list(name)) {
+    const el = root.querySelector(sel);
+    if (el) return el;
+  }
+  return null;
+}
+
+// Nearest ancestor matching a selectors list, in list order
+function closest(el, name) {
+  for (const sel of list(name)) {
+    const found = el.closest(sel);
+    if (found) return found;
+  }
+  return null;
+}
+
+return {
+  SCHEMA_VERSION,
+  STORAGE_KEY,
+  BUILT_IN,
+  compareVersions,
+  validate,
+  load,
+  importProfile,
+  resetProfile,
+  exportJson,
+  current,
+  describe,
+  list,
+  selector,
+  dataLabels,
+  labelSelector,
+  query,
+  closest,
+};
+
+})();
+} // end of double-injection guard
@@ -0,0 +1,167 @@
+"use strict";
+
+// ==========================================================================
+// FedEx Invoice Scraper — Payload replay server
+//
+// A local stand-in for the FedEx billing API, for working on API capture
+// (extension/capture.js and extension/payloads.js) without an account.
+// Serves the responses recorded in a run log and a harness page that
+// loads the capture hook, requests every recorded URL through fetch() and
+// XMLHttpRequest, and shows the records each response maps to.
+//
+//   node tools/replay-server.js FedEx_Run_Log_run-123.json [port]
+//
+// The run log is the JSON export from the popup ("Last run log: JSON") of
+// a run with API capture on; a plain array of { url, status, body } works
+// too. No dependencies beyond Node itself.
+// ==========================================================================
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+const EXTENSION_DIR = path.join(__dirname, "..", "extension");
+const HARNESS_SCRIPTS = ["extractors.js", "payloads.js", "capture.js"];
+
+function loadPayloads(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  const payloads = Array.isArray(data) ? data : data.payloads;
+  if (!Array.isArray(payloads)) {
+    throw new Error(`${file} has no captured payloads (was API capture on for that run?)`);
+  }
+  return payloads.map((p) => {
+    const url = new URL(p.url, "https://www.fedex.com");
+    return { path: url.pathname, query: url.search, status: p.status || 200, body: p.body };
+  });
+}
+
+// Exact path + query first, then the path alone (paging and cache-busting
+// parameters vary between runs)
+function findPayload(payloads, url) {
+  return payloads.find((p) => p.path === url.pathname && p.query === url.search) ||
+    payloads.find((p) => p.path === url.pathname) ||
+    null;
+}
+
+function send(res, status, type, body) {
+  res.writeHead(status, { "Content-Type": type, "Cache-Control": "no-store" });
+  res.end(body);
+}
+
+function harnessPage(payloads) {
+  const scripts = HARNESS_SCRIPTS.map((f) => `  <script src="/extension/${f}"></script>`).join("\n");
+  const urls = JSON.stringify(payloads.map((p) => p.path + p.query));
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>FedEx payload replay</title>
+  <style>
+    body { font: 13px/1.4 system-ui, sans-serif; margin: 16px; color: #333; }
+    h2 { font-size: 13px; margin: 18px 0 4px; }
+    pre { background: #f6f4f9; padding: 8px; overflow: auto; max-height: 320px; }
+  </style>
+${scripts}
+</head>
+<body>
+  <h1>Payload replay</h1>
+  <p id="summary">Loading ${payloads.length} recorded response(s)...</p>
+  <div id="results"></div>
+  <script>
+    "use strict";
+    const { CAPTURE_SOURCE, readPayload, invoiceRecord, shipmentRow, shipmentDetails } = window.FedexPayloads;
+    const urls = ${urls};
+    const totals = { responses: 0, invoices: 0, shipments: 0, details: 0 };
+    const results = document.getElementById("results");
+
+    // Exactly what content.js receives from capture.js: a channel offered
+    // with the nonce the background would have handed both of them
+    const nonce = String(Math.random());
+    window.addEventListener("message", (e) => {
+      if (e.source !== window || !e.data || e.data.source !== CAPTURE_SOURCE || e.data.type !== "CHANNEL") return;
+      if (e.data.nonce === nonce) e.ports[0].onmessage = (msg) => showPayload(msg.data);
+    });
+    window.__fedexCaptureConnect(nonce);
+
+    function showPayload({ url, status, body }) {
+      const found = readPayload(body);
+      const mapped = {
+        invoices: found.invoices.map(invoiceRecord),
+        shipments: found.shipments.map(shipmentRow),
+        details: found.details.map(shipmentDetails),
+      };
+      totals.responses++;
+      totals.invoices += mapped.invoices.length;
+      totals.shipments += mapped.shipments.length;
+      totals.details += mapped.details.length;
+
+      const heading = document.createElement("h2");
+      heading.textContent = status + " " + url;
+      const pre = document.createElement("pre");
+      pre.textContent = JSON.stringify(mapped, null, 2);
+      results.append(heading, pre);
+
+      document.getElementById("summary").textContent =
+        totals.responses + "/" + urls.length + " response(s) captured: " + totals.invoices +
+        " invoice(s), " + totals.shipments + " shipment row(s), " + totals.details + " shipment detail(s)";
+      window.replayResult = totals;
+    }
+
+    // Alternate fetch() and XMLHttpRequest so both hooks are exercised
+    urls.forEach((url, i) => {
+      if (i % 2 === 0) {
+        fetch(url);
+      } else {
+        const xhr = new XMLHttpRequest();
+        xhr.open("GET", url);
+        xhr.responseType = i % 4 === 1 ? "json" : "";
+        xhr.send();
+      }
+    });
+  </script>
+</body>
+</html>
+`;
+}
+
+function main() {
+  const [file, portArg] = process.argv.slice(2);
+  if (!file) {
+    console.error("Usage: node tools/replay-server.js <run-log.json> [port]");
+    process.exit(1);
+  }
+  const payloads = loadPayloads(file);
+  const port = Number(portArg) || 8787;
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${port}`);
+
+    if (url.pathname === "/") {
+      send(res, 200, "text/html; charset=utf-8", harnessPage(payloads));
+      return;
+    }
+
+    const script = url.pathname.match(/^\/extension\/([\w-]+\.js)$/);
+    if (script) {
+      fs.readFile(path.join(EXTENSION_DIR, script[1]), (err, data) => {
+        if (err) send(res, 404, "text/plain", "Not found");
+        else send(res, 200, "text/javascript; charset=utf-8", data);
+      });
+      return;
+    }
+
+    const payload = findPayload(payloads, url);
+    if (!payload) {
+      send(res, 404, "application/json", JSON.stringify({ error: `No recorded response for ${url.pathname}` }));
+      return;
+    }
+    send(res, payload.status, "application/json", JSON.stringify(payload.body));
+  });
+
+  server.listen(port, () => {
+    console.log(`Replaying ${payloads.length} recorded response(s) from ${path.basename(file)}`);
+    console.log(`Harness: http://localhost:${port}/`);
+  });
+}
+
+main();